@@ -0,0 +1,53 @@
+/* eslint-disable no-restricted-globals */
+// Keeps the app shell available offline so the cached dashboard snapshot can still be shown.
+// API calls are not cached here; the app keeps its own snapshot and action queue.
+
+const CACHE_NAME = 'product-assignment-shell-v1';
+const SHELL_URL = 'index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll([SHELL_URL, 'manifest.json', 'favicon.ico']))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, falling back to the cached shell offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => putInCache(SHELL_URL, response))
+        .catch(() => caches.match(SHELL_URL))
+    );
+    return;
+  }
+
+  // Hashed build assets never change, so serve them from the cache once fetched
+  if (url.pathname.includes('/static/')) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => putInCache(request, response)))
+    );
+  }
+});
@@ -1,17 +1,116 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Routes, Route, Navigate, useNavigate, useLocation, useMatch } from 'react-router-dom';
+import useQueryState from './hooks/useQueryState';
+import useLiveUpdates from './hooks/useLiveUpdates';
+import useNow from './hooks/useNow';
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
+import { usePreferenceStore, PreferencesContext } from './hooks/usePreferences';
+import { useAuth } from './hooks/useAuth';
+import useNotifications from './hooks/useNotifications';
+import UploadPreviewDialog from './components/UploadPreviewDialog';
+import ConfirmDialog from './components/ConfirmDialog';
+import CapacityEditor from './components/CapacityEditor';
+import WorkloadBar from './components/WorkloadBar';
+import AgentPicker from './components/AgentPicker';
+import BatchProgressDialog from './components/BatchProgressDialog';
+import DataTable from './components/DataTable';
+import AnalyticsView from './components/AnalyticsView';
+import MyWorkPanel from './components/MyWorkPanel';
+import ProductTimelineDialog from './components/ProductTimelineDialog';
+import RequestTaskDialog from './components/RequestTaskDialog';
+import CommandPalette from './components/CommandPalette';
+import AgentEditorDialog from './components/AgentEditorDialog';
+import DeactivateAgentDialog from './components/DeactivateAgentDialog';
+import RosterImportDialog from './components/RosterImportDialog';
+import AvailabilityControl from './components/AvailabilityControl';
+import NotificationCenter from './components/NotificationCenter';
+import LoadErrorPanel, { RetryStatus } from './components/LoadErrorPanel';
+import { PRODUCT_COLUMNS, makeAgeColumns, withTimelineLink } from './components/tableColumns';
+import * as api from './api/client';
+import { parseProductFile } from './utils/productImport';
+import { patchRecords, captureOriginals, upsertRecords, isOpenAssignment } from './utils/records';
+import { getAgentCapacity, getRoleCapacity, hasCustomCapacity } from './utils/capacity';
+import { runBatch, QUEUED } from './utils/batch';
+import { recheckPickedTasks } from './utils/taskRequest';
+import { SHEET_FILE_TYPES } from './utils/spreadsheet';
+import { getSlaState, slaRowClass } from './utils/sla';
+import { countItemsCompletedOn } from './utils/analytics';
+import { formatUnassignReason } from './utils/unassignReasons';
+import { buildProductTimeline } from './utils/timeline';
+import { locateProducts } from './utils/productLookup';
+import { isActiveAgent, parseRosterFile, DEACTIVATION_REASON } from './utils/roster';
+import { AVAILABILITY, AVAILABILITY_LABELS, formatShift, getAvailability, summarizeAvailability } from './utils/availability';
+import {
+  loadSnapshot,
+  saveSnapshot,
+  loadQueue,
+  saveQueue,
+  discardUnownedOfflineData,
+  createQueuedAction,
+  describeQueuedAction,
+  applyQueuedActions,
+  replayQueue,
+} from './utils/offlineQueue';
+import { getLoadRetryDelay, COLD_START_HINT_MS, COLD_START_MESSAGE } from './utils/loadRetry';
+import { can as hasPermission, PERMISSIONS } from './utils/permissions';
 import './App.css';
 
-// Helper to get API base URL from environment variable or default
-const getApiBaseUrl = () => {
-  return process.env.REACT_APP_API_BASE_URL || 'https://product-assignment-server.onrender.com/api';
+// Incremental fetches ask for changes since the last sync minus this overlap, to absorb clock skew
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Live data is saved as the offline snapshot once it has been quiet for this long
+const SNAPSHOT_DELAY_MS = 2000;
+
+// Minimum gap between My Work auto-requests, so a request that assigns nothing isn't repeated in a loop
+const AUTO_REQUEST_MIN_INTERVAL_MS = 15 * 1000;
+
+// Field changes for ending (completing or unassigning) a set of active assignments
+const endAssignments = (agentAssignments, assignmentFields, productFields) => {
+  const assignmentChanges = {};
+  const productChanges = {};
+  agentAssignments.forEach(a => {
+    assignmentChanges[a._id] = assignmentFields;
+    if (productFields) productChanges[a.productId] = productFields;
+  });
+  return { assignmentChanges, productChanges, productIds: agentAssignments.map(a => a.productId) };
+};
+
+const CONNECTION_LABELS = {
+  connecting: 'Connecting…',
+  live: 'Live',
+  reconnecting: 'Reconnecting…',
+  offline: 'Offline',
 };
-const API_BASE_URL = getApiBaseUrl();
+
+const pluralize = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// Renders a view's render function only when its route matches
+const RouteView = ({ render }) => render();
 
 function App() {
-  // Theme & Menu state
-  const [darkMode, setDarkMode] = useState(false);
+  // Signed-in user; leads see everything, agents only their own dashboard and tasks
+  const { user: currentUser, logout } = useAuth();
+  const userId = currentUser._id;
+  const can = useCallback((permission, agentId) => hasPermission(currentUser, permission, agentId), [currentUser]);
+  const canViewTeam = can(PERMISSIONS.VIEW_TEAM);
+
+  // Toasts for errors and confirmations, with a history of recent errors
+  const { toasts, history: errorHistory, notify, dismiss: dismissToast, clearHistory } = useNotifications();
+
+  // Blocks actions the user's role may not perform, even if the control was reachable
+  const ensureAllowed = useCallback((permission, agentId) => {
+    if (can(permission, agentId)) return true;
+    notify('You do not have permission to do that.', 'error');
+    return false;
+  }, [can, notify]);
+
+  // Theme, last view and table layouts persist across sessions
+  const preferenceStore = usePreferenceStore();
+  const { preferences, darkMode, updatePreferences, resetPreferences } = preferenceStore;
+  const setTheme = useCallback((theme) => updatePreferences({ theme }), [updatePreferences]);
+
+  // Menu state
   const [menuOpen, setMenuOpen] = useState(false);
-  const toggleTheme = useCallback(() => setDarkMode(prev => !prev), []);
   const toggleMenu = useCallback(() => setMenuOpen(prev => !prev), []);
 
   // Data states
@@ -28,11 +127,57 @@ function App() {
   // UI states
   const [isLoading, setIsLoading] = useState(true);
   const [loadingMessage, setLoadingMessage] = useState('Loading data...');
-  const [searchTerm, setSearchTerm] = useState('');
+  // Ticks every minute so product ages and SLA states stay current
+  const now = useNow();
 
-  // View and Agent selection state
-  const [view, setView] = useState('agents');
-  const [selectedAgent, setSelectedAgent] = useState(null);
+  // Products with an optimistic change still waiting on the server
+  const [pendingProductIds, setPendingProductIds] = useState(() => new Set());
+  // When products/assignments were last fetched, for incremental reconciliation
+  const lastSyncRef = useRef(null);
+
+  // Offline mode: set while the server can't be reached, with when the snapshot being shown was
+  // saved (null if there was none), why the load failed and when it will be retried. Agent
+  // actions taken meanwhile wait in the offline queue.
+  const [offlineState, setOfflineState] = useState(null);
+  const [loadInFlight, setLoadInFlight] = useState(false);
+  const loadFailuresRef = useRef(0);
+  const [offlineQueue, setOfflineQueue] = useState(() => loadQueue(userId));
+  const replayingRef = useRef(false);
+  // Lets a successful load send the queue; replaying itself reloads data, so it can't be a dependency
+  const replayOfflineQueueRef = useRef(null);
+
+  useEffect(() => {
+    discardUnownedOfflineData();
+  }, []);
+
+  // Storage is written straight away, so the next action in a batch already sees what was queued
+  const updateOfflineQueue = useCallback((update) => {
+    const next = update(loadQueue(userId));
+    saveQueue(userId, next);
+    setOfflineQueue(next);
+  }, [userId]);
+
+  // Directory search and filters live in the query string so they survive refreshes
+  const [searchTerm, setSearchTerm] = useQueryState('q');
+  const [roleFilter, setRoleFilter] = useQueryState('role');
+  const [showInactive, setShowInactive] = useQueryState('inactive');
+  const [availabilityFilter, setAvailabilityFilter] = useQueryState('availability');
+
+  // View and Agent selection are derived from the current route
+  const navigate = useNavigate();
+  const location = useLocation();
+  const agentMatch = useMatch('/agents/:agentId');
+  // My Work is the signed-in agent's own dashboard unless a lead opens it for someone with ?agent=
+  const isMyWork = Boolean(useMatch('/my-work'));
+  const [myWorkAgentParam] = useQueryState('agent');
+  const selectedAgent = agentMatch
+    ? agentMatch.params.agentId
+    : isMyWork ? (myWorkAgentParam || currentUser._id) : null;
+
+  // My Work: the task highlighted for keyboard shortcuts, and whether auto-request gave up
+  const [focusedProductId, setFocusedProductId] = useState(null);
+  const [autoRequestPaused, setAutoRequestPaused] = useState(false);
+  const lastAutoRequestRef = useRef(0);
 
   // Progressive loading state
   const [loadStages, setLoadStages] = useState({
@@ -46,15 +191,52 @@ function App() {
     show: false,
     title: '',
     message: '',
+    confirmLabel: '',
+    requireText: '',
+    askReason: false,
     onConfirm: null,
   });
 
+  // Product whose history is open, from any table's product ID link
+  const [timelineProductId, setTimelineProductId] = useState(null);
+
+  // Parsed upload awaiting user confirmation
+  const [uploadPreview, setUploadPreview] = useState(null);
+
+  // Bulk actions: products ticked in a list view, the agent pickers, and batch progress
+  const [selectedProductIds, setSelectedProductIds] = useState(() => new Set());
+  const [assignPickerOpen, setAssignPickerOpen] = useState(false);
+  // Tasks being transferred off an agent: { fromAgent, productIds }
+  const [transferRequest, setTransferRequest] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  // Agent whose Request Tasks picker is open
+  const [requestTasksAgentId, setRequestTasksAgentId] = useState(null);
+  // Ctrl+K command palette and product ID lookup
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  // Roster management: the add/edit form ({ agent } with null to add), deactivation and import preview
+  const [agentEditor, setAgentEditor] = useState(null);
+  const [deactivatingAgent, setDeactivatingAgent] = useState(null);
+  // Agent being deactivated whose tasks are waiting for a transfer target
+  const [deactivationTransferFrom, setDeactivationTransferFrom] = useState(null);
+  const [rosterPreview, setRosterPreview] = useState(null);
+
   // Memoized filtered agents for the directory view
   const filteredAgents = useMemo(() => {
     return agents.filter(agent =>
-      agent.name.toLowerCase().includes(searchTerm.toLowerCase())
+      agent.name.toLowerCase().includes(searchTerm.toLowerCase()) &&
+      (!roleFilter || agent.role === roleFilter) &&
+      (showInactive || isActiveAgent(agent)) &&
+      (!availabilityFilter || getAvailability(agent, now) === availabilityFilter)
     );
-  }, [agents, searchTerm]);
+  }, [agents, searchTerm, roleFilter, showInactive, availabilityFilter, now]);
+
+  // Deactivated agents can't be handed work
+  const activeAgents = useMemo(() => agents.filter(isActiveAgent), [agents]);
+
+  // Distinct roles for the directory role filter
+  const agentRoles = useMemo(() => {
+    return Array.from(new Set(agents.map(a => a.role).filter(Boolean))).sort();
+  }, [agents]);
 
   // Memoized agent assignments
   const memoizedAgentAssignments = useMemo(() => {
@@ -67,8 +249,7 @@ function App() {
     assignments.forEach(assignment => {
       if (
         assignment.agentId && 
-        !assignment.completed && 
-        !assignment.unassignedTime &&
+        isOpenAssignment(assignment) &&
         assignmentMap[assignment.agentId]
       ) {
         assignmentMap[assignment.agentId].push(assignment);
@@ -78,20 +259,34 @@ function App() {
     return assignmentMap;
   }, [agents, assignments]);
 
-  // Memoized workload per agent
-  const agentWorkloads = useMemo(() => {
-    const workloads = {};
+  // Memoized product lookup map
+  const productsById = useMemo(() => {
     const productMap = {};
-    
-    // Create a product lookup map
     products.forEach(product => {
       productMap[product.id] = product;
     });
+    return productMap;
+  }, [products]);
+
+  // Name of the agent currently holding each product
+  const activeAgentNameByProduct = useMemo(() => {
+    const names = {};
+    agents.forEach(agent => {
+      (memoizedAgentAssignments[agent._id] || []).forEach(a => {
+        names[a.productId] = agent.name;
+      });
+    });
+    return names;
+  }, [agents, memoizedAgentAssignments]);
+
+  // Memoized workload per agent
+  const agentWorkloads = useMemo(() => {
+    const workloads = {};
     
     // Calculate workloads using the map
     Object.entries(memoizedAgentAssignments).forEach(([agentId, agentAssignments]) => {
       const sum = agentAssignments.reduce((total, assign) => {
-        const product = productMap[assign.productId];
+        const product = productsById[assign.productId];
         const count = product && product.count ? parseInt(product.count, 10) : 1;
         return total + count;
       }, 0);
@@ -99,13 +294,22 @@ function App() {
     });
     
     return workloads;
-  }, [products, memoizedAgentAssignments]);
+  }, [productsById, memoizedAgentAssignments]);
 
   // Memoized completed assignments
   const completedAssignments = useMemo(() => {
     return assignments.filter(a => a.completed);
   }, [assignments]);
 
+  // How often each product has been handed back, to spot work that bounces between agents
+  const unassignCountsByProduct = useMemo(() => {
+    const counts = {};
+    assignments.forEach(a => {
+      if (a.unassignedTime) counts[a.productId] = (counts[a.productId] || 0) + 1;
+    });
+    return counts;
+  }, [assignments]);
+
   // Memoized grouped completed tasks
   const groupedCompletedTasks = useMemo(() => {
     const result = {};
@@ -147,30 +351,76 @@ function App() {
     return products.filter(p => !p.assigned);
   }, [products]);
 
+  // Products flagged as completed, so finished work isn't counted against its SLA
+  const queueProducts = useMemo(() => {
+    const completedIds = new Set(completedAssignments.map(a => a.productId));
+    return products.map(p => (completedIds.has(p.id) ? { ...p, completed: true } : p));
+  }, [products, completedAssignments]);
+
+  // Open products nearing or past their SLA, overall and per tenant
+  const slaSummary = useMemo(() => {
+    const summary = { breached: 0, warning: 0, breachedByTenant: {} };
+    queueProducts.forEach(p => {
+      const { status } = getSlaState(p, now);
+      if (status === 'warning') summary.warning += 1;
+      if (status === 'breached') {
+        summary.breached += 1;
+        const tenant = p.tenantId || 'N/A';
+        summary.breachedByTenant[tenant] = (summary.breachedByTenant[tenant] || 0) + 1;
+      }
+    });
+    summary.topTenants = Object.entries(summary.breachedByTenant)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+    return summary;
+  }, [queueProducts, now]);
+
+  // Who's on now, for the directory's status card
+  const availabilitySummary = useMemo(() => summarizeAvailability(agents, now), [agents, now]);
+
   const getAgentWorkloadCount = useCallback((agentId) => {
     return agentWorkloads[agentId] || 0;
   }, [agentWorkloads]);
 
-  // Data loading function for agents, products and assignments
-  const loadDataFromServer = useCallback(async () => {
-    setIsLoading(true);
-    setLoadingMessage('Loading data from server...');
+  // Memoized capacity per agent (own setting, else role default)
+  const agentCapacities = useMemo(() => {
+    const capacities = {};
+    agents.forEach(agent => {
+      capacities[agent._id] = getAgentCapacity(agent);
+    });
+    return capacities;
+  }, [agents]);
+
+  const getAgentCapacityById = useCallback((agentId) => {
+    return agentCapacities[agentId] ?? getAgentCapacity(null);
+  }, [agentCapacities]);
+
+  // Data loading function for agents, products and assignments. `quiet` loads (automatic retries)
+  // don't cover the app with the loading overlay.
+  const loadDataFromServer = useCallback(async ({ quiet = false } = {}) => {
+    if (!quiet) {
+      setIsLoading(true);
+      setLoadingMessage('Loading data from server...');
+    }
+    setLoadInFlight(true);
+    const coldStartTimer = quiet ? null : setTimeout(() => setLoadingMessage(COLD_START_MESSAGE), COLD_START_HINT_MS);
+    const startedAt = Date.now();
+    // Actions still waiting in the offline queue stay applied on top of whatever was loaded
+    const showLoadedData = (loadedProducts, loadedAgents, loadedAssignments) => {
+      const pending = applyQueuedActions({ products: loadedProducts, assignments: loadedAssignments }, loadQueue(userId));
+      setProducts(pending.products);
+      setAgents(loadedAgents);
+      setAssignments(pending.assignments);
+    };
     try {
       // Use the new combined endpoint for faster loading
-      const dashboardRes = await fetch(`${API_BASE_URL}/dashboard-data`);
+      const dashboardData = await api.getDashboardData();
       
-      if (!dashboardRes.ok) {
-        throw new Error('Failed to fetch dashboard data');
-      }
-      
-      const dashboardData = await dashboardRes.json();
-      
-      setProducts(dashboardData.products);
-      setAgents(dashboardData.agents);
-      setAssignments(dashboardData.assignments);
+      showLoadedData(dashboardData.products, dashboardData.agents, dashboardData.assignments);
       setTotalAgents(dashboardData.totalAgents);
       setTotalProducts(dashboardData.totalProducts);
       setTotalAssignments(dashboardData.totalAssignments);
+      lastSyncRef.current = startedAt;
       
       // Mark progressive loading stages
       setLoadStages({
@@ -183,26 +433,17 @@ function App() {
       
       // Fallback to individual endpoints if combined endpoint fails
       try {
-        const [prodRes, agentsRes, assignRes] = await Promise.all([
-          fetch(`${API_BASE_URL}/products`),
-          fetch(`${API_BASE_URL}/agents`),
-          fetch(`${API_BASE_URL}/assignments`)
+        const [productsData, agentsData, assignmentsData] = await Promise.all([
+          api.getProducts(),
+          api.getAgents(),
+          api.getAssignments()
         ]);
         
-        if (!prodRes.ok || !agentsRes.ok || !assignRes.ok) {
-          throw new Error('One or more fetch requests failed');
-        }
-        
-        const productsData = await prodRes.json();
-        const agentsData = await agentsRes.json();
-        const assignmentsData = await assignRes.json();
-        
-        setProducts(productsData);
-        setAgents(agentsData);
-        setAssignments(assignmentsData);
+        showLoadedData(productsData, agentsData, assignmentsData);
         setTotalAgents(agentsData.length);
         setTotalProducts(productsData.length);
         setTotalAssignments(assignmentsData.length);
+        lastSyncRef.current = startedAt;
         
         // Mark progressive loading stages
         setLoadStages({
@@ -212,232 +453,926 @@ function App() {
         });
       } catch (fallbackError) {
         console.error('Fallback loading failed:', fallbackError);
+        const attempt = loadFailuresRef.current + 1;
+        loadFailuresRef.current = attempt;
+        if (attempt === 1) notify(`Could not load data: ${fallbackError.message}`, 'error');
+
+        // Show the last saved snapshot, with anything queued offline already applied
+        const snapshot = loadSnapshot(userId);
+        if (snapshot) {
+          showLoadedData(snapshot.products, snapshot.agents, snapshot.assignments);
+          setTotalAgents(snapshot.agents.length);
+          setTotalProducts(snapshot.products.length);
+          setTotalAssignments(snapshot.assignments.length);
+          setLoadStages({
+            agentsLoaded: true,
+            productsLoaded: true,
+            assignmentsLoaded: true
+          });
+        }
+        setOfflineState({
+          savedAt: snapshot ? snapshot.savedAt : null,
+          reason: fallbackError.message,
+          coldStart: Boolean(fallbackError.isUnreachable),
+          attempt,
+          retryAt: Date.now() + getLoadRetryDelay(attempt),
+        });
+        return;
       }
     } finally {
-      setIsLoading(false);
+      clearTimeout(coldStartTimer);
+      setLoadInFlight(false);
+      if (!quiet) setIsLoading(false);
     }
-  }, []);
+    loadFailuresRef.current = 0;
+    setOfflineState(null);
+    // The server answered, so send anything queued while it couldn't (e.g. during a cold start)
+    if (loadQueue(userId).length > 0) replayOfflineQueueRef.current?.();
+  }, [notify, userId]);
 
   // Load previously assigned tasks (for "unassigned" view)
-  const loadPreviouslyAssigned = useCallback(async () => {
+  const loadPreviouslyAssigned = useCallback(async (signal) => {
     setIsLoading(true);
     try {
-      const res = await fetch(`${API_BASE_URL}/previously-assigned`);
-      if (!res.ok) throw new Error('Failed to load unassigned tasks');
-      const data = await res.json();
-      setPreviouslyAssigned(data);
+      setPreviouslyAssigned(await api.getPreviouslyAssigned({ signal }));
     } catch (error) {
-      console.error('Error loading unassigned tasks:', error);
+      if (!error.isCancelled) {
+        console.error('Error loading unassigned tasks:', error);
+        notify(`Could not load unassigned tasks: ${error.message}`, 'error');
+      }
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [notify]);
 
   useEffect(() => {
     loadDataFromServer();
   }, [loadDataFromServer]);
 
-  // File Upload Handler (for CSV upload)
+  // Keep retrying a failed load, backing off, until the server answers
+  useEffect(() => {
+    if (!offlineState) return undefined;
+    const timer = setTimeout(() => loadDataFromServer({ quiet: true }), Math.max(0, offlineState.retryAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [offlineState, loadDataFromServer]);
+
+  // Keep the offline snapshot current while showing live data (debounced, as live updates come in bursts)
+  useEffect(() => {
+    if (offlineState || !loadStages.assignmentsLoaded) return undefined;
+    const timer = setTimeout(() => saveSnapshot(userId, { products, agents, assignments }), SNAPSHOT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [offlineState, loadStages.assignmentsLoaded, products, agents, assignments, userId]);
+
+  // Selections belong to the view they were made in
+  useEffect(() => {
+    setSelectedProductIds(new Set());
+    setFocusedProductId(null);
+    setAutoRequestPaused(false);
+  }, [location.pathname]);
+
+  // Remember where the user was so the next visit reopens the same view, filters included
+  useEffect(() => {
+    if (location.pathname === '/') return;
+    updatePreferences({ lastView: location.pathname + location.search });
+  }, [location.pathname, location.search, updatePreferences]);
+
+  useEffect(() => {
+    if (selectedAgent) updatePreferences({ lastAgentId: selectedAgent });
+  }, [selectedAgent, updatePreferences]);
+
+  // Load previously assigned tasks whenever the "unassigned" route is entered,
+  // cancelling the request if the user navigates away before it finishes
+  useEffect(() => {
+    if (location.pathname !== '/unassigned' || !canViewTeam) return undefined;
+    const controller = new AbortController();
+    loadPreviouslyAssigned(controller.signal);
+    return () => controller.abort();
+  }, [location.pathname, canViewTeam, loadPreviouslyAssigned]);
+
+  // Runs a server action, then reloads the dashboard; failures are reported to the user
+  const runServerAction = useCallback(async (description, action, message) => {
+    setIsLoading(true);
+    if (message) setLoadingMessage(message);
+    try {
+      await action();
+      await loadDataFromServer();
+    } catch (error) {
+      console.error(`Error ${description}:`, error);
+      notify(`Error ${description}: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [loadDataFromServer, notify]);
+
+  // File Upload Handler: parses the CSV/XLSX in the browser and opens a preview first
   const handleFileUpload = useCallback(async (event) => {
     const file = event.target.files[0];
     if (!file) return;
     event.target.value = null;
+    if (!ensureAllowed(PERMISSIONS.UPLOAD)) return;
     setIsLoading(true);
-    setLoadingMessage('Uploading CSV file...');
-    const formData = new FormData();
-    formData.append('outputFile', file);
+    setLoadingMessage(`Reading ${file.name}...`);
     try {
-      const response = await fetch(`${API_BASE_URL}/upload-output`, {
-        method: 'POST',
-        body: formData,
-      });
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Upload failed: ${errorText}`);
-      }
-      await loadDataFromServer();
+      setUploadPreview(await parseProductFile(file, products));
+      setMenuOpen(false);
     } catch (error) {
-      console.error('Error uploading file:', error);
-      alert(`Error: ${error.message}`);
+      console.error('Error parsing file:', error);
+      notify(`Could not read ${file.name}: ${error.message}`, 'error');
     } finally {
       setIsLoading(false);
     }
-  }, [loadDataFromServer]);
+  }, [products, ensureAllowed, notify]);
+
+  // Sends the previewed file to the server once the user confirms
+  const confirmUpload = useCallback(() => {
+    if (!uploadPreview) return;
+    const file = uploadPreview.uploadFile;
+    setUploadPreview(null);
+    if (!ensureAllowed(PERMISSIONS.UPLOAD)) return;
+    runServerAction('uploading file', () => api.uploadOutput(file), 'Uploading CSV file...');
+  }, [uploadPreview, runServerAction, ensureAllowed]);
 
   // Data refresh handler
-  const handleRefreshData = useCallback(async () => {
-    setIsLoading(true);
-    setLoadingMessage('Refreshing data...');
+  const handleRefreshData = useCallback(() => {
+    if (!ensureAllowed(PERMISSIONS.REFRESH)) return undefined;
+    return runServerAction('refreshing data', () => api.refreshQueue(), 'Refreshing data...');
+  }, [runServerAction, ensureAllowed]);
+
+  // Fetches only the products and assignments changed since the last sync and merges them in,
+  // dropping any placeholder rows an optimistic update added
+  const reconcileChanges = useCallback(async (placeholderIds = new Set()) => {
+    const startedAt = Date.now();
+    const since = lastSyncRef.current ? new Date(lastSyncRef.current - SYNC_OVERLAP_MS).toISOString() : undefined;
     try {
-      const refreshRes = await fetch(`${API_BASE_URL}/refresh`, { method: 'POST' });
-      if (!refreshRes.ok) {
-        const errText = await refreshRes.text();
-        throw new Error(`Failed to refresh data: ${errText}`);
-      }
+      const [changedAssignments, changedProducts] = await Promise.all([
+        api.getAssignments({ since }),
+        api.getProducts({ since }),
+      ]);
+      const pending = applyQueuedActions({ products: changedProducts, assignments: changedAssignments }, loadQueue(userId));
+      setAssignments(prev => upsertRecords(prev.filter(a => !placeholderIds.has(a._id)), pending.assignments, '_id'));
+      setProducts(prev => upsertRecords(prev, pending.products, 'id'));
+      lastSyncRef.current = startedAt;
+      loadFailuresRef.current = 0;
+      setOfflineState(null);
+      if (loadQueue(userId).length > 0) replayOfflineQueueRef.current?.();
+    } catch (error) {
+      console.error('Error reconciling changes, falling back to a full reload:', error);
       await loadDataFromServer();
+    }
+  }, [loadDataFromServer, userId]);
+
+  // Live changes pushed by the server (other browsers' completions, assignments, uploads)
+  const applyAssignmentChanges = useCallback((changed) => {
+    setAssignments(prev => upsertRecords(prev, changed, '_id'));
+  }, []);
+
+  const applyProductChanges = useCallback((changed) => {
+    setProducts(prev => upsertRecords(prev, changed, 'id'));
+  }, []);
+
+  // Anything pushed while disconnected was missed, so resync incrementally after a reconnect
+  const resyncAfterReconnect = useCallback(() => reconcileChanges(), [reconcileChanges]);
+
+  const connectionStatus = useLiveUpdates({
+    onAssignments: applyAssignmentChanges,
+    onProducts: applyProductChanges,
+    onReconnect: resyncAfterReconnect,
+  });
+
+  /**
+   * Applies a change to local state immediately, then sends it to the server. If the server
+   * rejects it the touched fields are restored and the user is told; otherwise the result is
+   * reconciled with an incremental fetch. Resolves to whether the server accepted the change.
+   * Inside a batch (`batched`) a rejection is rethrown for the batch summary instead, the
+   * batch reconciles once at the end, and a queued change resolves to QUEUED.
+   */
+  const runOptimisticAction = useCallback(async ({
+    description,
+    action,
+    productIds = [],
+    assignmentChanges = {},
+    productChanges = {},
+    placeholders = [],
+    batched = false,
+  }) => {
+    const assignmentOriginals = captureOriginals(assignments, assignmentChanges, '_id');
+    const productOriginals = captureOriginals(products, productChanges, 'id');
+    const placeholderIds = new Set(placeholders.map(a => a._id));
+
+    setAssignments(prev => [...patchRecords(prev, assignmentChanges, '_id'), ...placeholders]);
+    setProducts(prev => patchRecords(prev, productChanges, 'id'));
+    setPendingProductIds(prev => new Set([...prev, ...productIds]));
+
+    let outcome;
+    try {
+      outcome = await action();
     } catch (error) {
-      console.error('Error refreshing data:', error);
-      alert(`Error: ${error.message}`);
+      console.error(`Error ${description}:`, error);
+      setAssignments(prev => patchRecords(prev.filter(a => !placeholderIds.has(a._id)), assignmentOriginals, '_id'));
+      setProducts(prev => patchRecords(prev, productOriginals, 'id'));
+      if (batched) throw error;
+      notify(`Could not finish ${description}: ${error.message}. The change has been undone.`, 'error');
+      return false;
     } finally {
-      setIsLoading(false);
+      setPendingProductIds(prev => {
+        const next = new Set(prev);
+        productIds.forEach(id => next.delete(id));
+        return next;
+      });
     }
-  }, [loadDataFromServer]);
+    if (batched) return outcome === QUEUED ? QUEUED : true;
+    // A queued action keeps its local change; there is nothing to reconcile until it is replayed
+    if (outcome !== QUEUED) await reconcileChanges(placeholderIds);
+    return true;
+  }, [assignments, products, reconcileChanges, notify]);
+
+  /**
+   * Sends a complete/unassign, or queues it when the server can't be reached. Once anything is
+   * queued, later actions queue behind it so they replay in the order they were taken.
+   */
+  const sendOrQueue = useCallback(async (fields, send) => {
+    if (loadQueue(userId).length === 0) {
+      try {
+        return await send();
+      } catch (error) {
+        if (!error.isUnreachable) throw error;
+      }
+    }
+    updateOfflineQueue(prev => [...prev, createQueuedAction(fields)]);
+    return QUEUED;
+  }, [updateOfflineQueue, userId]);
+
+  const sendQueuedAction = useCallback((action) => (action.type === 'complete'
+    ? api.completeTask(action.agentId, action.productId)
+    : api.unassignProduct(action.productId, action.agentId, action.reason)), []);
 
-  // Request Task: assigns an available product to the agent if capacity allows
+  // Agents at capacity must finish or hand back work before requesting more
+  const ensureRoomForTasks = useCallback((agentId) => {
+    const capacity = getAgentCapacityById(agentId);
+    if (getAgentWorkloadCount(agentId) < capacity) return true;
+    notify(`Please complete or unassign some tasks before requesting new ones (max capacity = ${capacity}).`, 'warning');
+    return false;
+  }, [getAgentWorkloadCount, getAgentCapacityById, notify]);
+
+  // Deactivated agents and offline ones (by choice or outside their shift) can't be handed new work
+  const ensureAvailableForTasks = useCallback((agentId) => {
+    const agent = agents.find(a => a._id === agentId);
+    if (!agent) return true;
+    if (!isActiveAgent(agent)) {
+      notify(`${agent.name} has been deactivated and can't be assigned work.`, 'warning');
+      return false;
+    }
+    if (getAvailability(agent, Date.now()) !== AVAILABILITY.OFFLINE) return true;
+    const shift = formatShift(agent.shift);
+    notify(`${agent.name} is offline${shift ? ` (shift ${shift})` : ''}. Set their status to Available before requesting tasks.`, 'warning');
+    return false;
+  }, [agents, notify]);
+
+  // Request Task: assigns an available product to the agent if they're available and capacity allows
   const requestTask = useCallback(async (agentId) => {
-    const workloadCount = getAgentWorkloadCount(agentId);
-    if (workloadCount >= 30) {
-      alert("Please complete or unassign some tasks before requesting new ones (max capacity = 30).");
-      return;
+    if (!ensureAllowed(PERMISSIONS.REQUEST_TASK, agentId) || !ensureAvailableForTasks(agentId) || !ensureRoomForTasks(agentId)) return false;
+    // The server picks the product, so show a placeholder row until reconciliation fills it in
+    const placeholder = {
+      _id: `pending-${agentId}-${Date.now()}`,
+      agentId,
+      productId: null,
+      assignedOn: new Date().toISOString(),
+      pending: true,
+    };
+    return runOptimisticAction({
+      description: 'requesting a task',
+      action: () => api.assignTask(agentId),
+      placeholders: [placeholder],
+    });
+  }, [runOptimisticAction, ensureAllowed, ensureAvailableForTasks, ensureRoomForTasks]);
+
+  // Opens the Request Tasks picker: how many tasks to pull, optionally for one tenant or priority
+  const openRequestTasks = useCallback((agentId) => {
+    if (!ensureAllowed(PERMISSIONS.REQUEST_TASK, agentId) || !ensureAvailableForTasks(agentId) || !ensureRoomForTasks(agentId)) return;
+    setRequestTasksAgentId(agentId);
+  }, [ensureAllowed, ensureAvailableForTasks, ensureRoomForTasks]);
+
+  // Stores the agent the server returned after a change, or applies the change locally if it returned nothing
+  const storeSavedAgent = useCallback((saved, agentId, changes) => {
+    setAgents(prev => (saved && saved._id
+      ? upsertRecords(prev, [saved], '_id')
+      : patchRecords(prev, { [agentId]: changes }, '_id')));
+  }, []);
+
+  // Saves an agent's capacity; null clears it back to the role default
+  const updateAgentCapacity = useCallback(async (agentId, capacity) => {
+    if (!ensureAllowed(PERMISSIONS.EDIT_CAPACITY, agentId)) return;
+    try {
+      storeSavedAgent(await api.updateAgent(agentId, { capacity }), agentId, { capacity });
+    } catch (error) {
+      console.error('Error updating capacity:', error);
+      notify(`Could not update capacity: ${error.message}`, 'error');
     }
-    setIsLoading(true);
+  }, [ensureAllowed, notify, storeSavedAgent]);
+
+  const toggleProductSelection = useCallback((productId) => {
+    setSelectedProductIds(prev => {
+      const next = new Set(prev);
+      if (next.has(productId)) next.delete(productId); else next.add(productId);
+      return next;
+    });
+  }, []);
+
+  const clearProductSelection = useCallback(() => setSelectedProductIds(new Set()), []);
+
+  // Adds or removes a group of products (a shift-click range or a page) without touching the rest
+  const setManyProductsSelected = useCallback((productIds, selected) => {
+    setSelectedProductIds(prev => {
+      const next = new Set(prev);
+      productIds.forEach(id => (selected ? next.add(id) : next.delete(id)));
+      return next;
+    });
+  }, []);
+
+  // Total items (summed counts) of a set of products, for capacity checks
+  const countItems = useCallback((productIds) => {
+    const ids = new Set(productIds);
+    return products
+      .filter(p => ids.has(p.id))
+      .reduce((total, p) => total + (parseInt(p.count, 10) || 1), 0);
+  }, [products]);
+
+  const selectedItemCount = useMemo(() => countItems(selectedProductIds), [countItems, selectedProductIds]);
+
+  /**
+   * Runs an action per item with a progress dialog, then shows which items failed or were
+   * queued and reconciles local state with whatever the server accepted.
+   */
+  const runBatchAction = useCallback(async ({ title, items, worker, getLabel = item => item }) => {
+    setBatchProgress({ title, total: items.length, results: [], finished: false, getLabel });
+    const results = await runBatch(items, worker, {
+      onProgress: (partial) => setBatchProgress(prev => prev && { ...prev, results: partial }),
+    });
+    setBatchProgress(prev => prev && { ...prev, results, finished: true });
+    // Anything queued means the server couldn't be reached; the replay reconciles once it can
+    if (!results.some(r => r.queued)) await reconcileChanges();
+    return results;
+  }, [reconcileChanges]);
+
+  /**
+   * Sends everything queued while offline, in order, with the same progress dialog as batch
+   * actions so conflicts are listed per item. Stops quietly if the server drops again.
+   */
+  const replayOfflineQueue = useCallback(async () => {
+    const queue = loadQueue(userId);
+    if (queue.length === 0 || replayingRef.current) return;
+    replayingRef.current = true;
+    const title = `Sending ${pluralize(queue.length, 'action')} queued while offline`;
+    setBatchProgress({ title, total: queue.length, results: [], finished: false, getLabel: describeQueuedAction });
     try {
-      const response = await fetch(`${API_BASE_URL}/assign`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ agentId })
+      const { results, remaining } = await replayQueue(queue, sendQueuedAction, {
+        onProgress: (partial) => setBatchProgress(prev => prev && { ...prev, results: partial }),
       });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Assignment failed');
+      const handled = new Set(results.map(r => r.item.id));
+      updateOfflineQueue(prev => prev.filter(action => !handled.has(action.id)));
+
+      if (results.length === 0) {
+        setBatchProgress(null);
+        return;
       }
-      await loadDataFromServer();
-    } catch (error) {
-      console.error('Error requesting task:', error);
-      alert(`Error: ${error.message}`);
+      setBatchProgress(prev => prev && {
+        ...prev,
+        title: remaining.length > 0 ? `${title} (${remaining.length} still waiting for the server)` : title,
+        total: results.length,
+        results,
+        finished: true,
+      });
+      // Conflicts leave local state out of step with the server, so reload rather than reconcile
+      if (results.some(r => !r.ok)) await loadDataFromServer(); else await reconcileChanges();
     } finally {
-      setIsLoading(false);
+      replayingRef.current = false;
     }
-  }, [getAgentWorkloadCount, loadDataFromServer]);
+  }, [sendQueuedAction, updateOfflineQueue, loadDataFromServer, reconcileChanges, userId]);
 
-  const completeTask = useCallback(async (agentId, productId) => {
-    setIsLoading(true);
-    try {
-      const response = await fetch(`${API_BASE_URL}/complete`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ agentId, productId })
+  useEffect(() => {
+    replayOfflineQueueRef.current = replayOfflineQueue;
+  }, [replayOfflineQueue]);
+
+  // Replay as soon as the browser or the live-update stream says the server is back
+  useEffect(() => {
+    window.addEventListener('online', replayOfflineQueue);
+    return () => window.removeEventListener('online', replayOfflineQueue);
+  }, [replayOfflineQueue]);
+
+  useEffect(() => {
+    if (connectionStatus === 'live') replayOfflineQueue();
+  }, [connectionStatus, replayOfflineQueue]);
+
+  // Hands the selected products to an agent, one request per product
+  const assignSelectedProducts = useCallback(async (agent) => {
+    setAssignPickerOpen(false);
+    if (!ensureAllowed(PERMISSIONS.BULK_ACTIONS)) return;
+    const productIds = Array.from(selectedProductIds);
+    const results = await runBatchAction({
+      title: `Assigning ${pluralize(productIds.length, 'product')} to ${agent.name}`,
+      items: productIds,
+      worker: (productId) => api.assignProduct(productId, agent._id),
+    });
+    // Keep the failures selected so they can be retried or sent elsewhere
+    setSelectedProductIds(new Set(results.filter(r => !r.ok).map(r => r.item)));
+  }, [selectedProductIds, runBatchAction, ensureAllowed]);
+
+  // Assigns the products previewed in the Request Tasks picker. Live updates may have changed
+  // things while it was open, so the checks run again and the pick is trimmed to what still fits.
+  const requestPickedTasks = useCallback(async (picked) => {
+    const agentId = requestTasksAgentId;
+    setRequestTasksAgentId(null);
+    if (!ensureAllowed(PERMISSIONS.REQUEST_TASK, agentId) || !ensureAvailableForTasks(agentId) || !ensureRoomForTasks(agentId)) return;
+    const { picked: stillFree } = recheckPickedTasks(picked, {
+      unassignedIds: new Set(unassignedProducts.map(p => p.id)),
+      remainingCapacity: getAgentCapacityById(agentId) - getAgentWorkloadCount(agentId),
+    });
+    const agent = agents.find(a => a._id === agentId);
+    if (stillFree.length < picked.length) {
+      notify(`Left out ${pluralize(picked.length - stillFree.length, 'previewed task')}: already assigned or over ${agent ? agent.name : agentId}'s remaining capacity.`, 'warning');
+    }
+    if (stillFree.length === 0) return;
+    await runBatchAction({
+      title: `Requesting ${pluralize(stillFree.length, 'task')} for ${agent ? agent.name : agentId}`,
+      items: stillFree.map(p => p.id),
+      worker: (productId) => api.assignProduct(productId, agentId),
+    });
+  }, [requestTasksAgentId, agents, unassignedProducts, getAgentCapacityById, getAgentWorkloadCount, runBatchAction, ensureAllowed, ensureAvailableForTasks, ensureRoomForTasks, notify]);
+
+  // Moves tasks directly from one agent to another instead of via the unassigned list
+  const transferTasks = useCallback(async (toAgent) => {
+    const { fromAgent, productIds } = transferRequest;
+    setTransferRequest(null);
+    if (!ensureAllowed(PERMISSIONS.TRANSFER_TASKS, fromAgent._id)) return;
+
+    if (productIds.length === 1) {
+      const [productId] = productIds;
+      const active = (memoizedAgentAssignments[fromAgent._id] || []).filter(a => a.productId === productId);
+      const transferredTime = new Date().toISOString();
+      // The source assignment ends and a new one opens for the target, as the server records it
+      await runOptimisticAction({
+        description: `transferring ${productId} to ${toAgent.name}`,
+        action: () => api.transferProduct(productId, fromAgent._id, toAgent._id),
+        ...endAssignments(active, { transferredTo: toAgent._id, transferredTime }),
+        placeholders: [{
+          _id: `pending-transfer-${productId}-${Date.now()}`,
+          agentId: toAgent._id,
+          productId,
+          assignedOn: transferredTime,
+          transferredFrom: fromAgent._id,
+        }],
       });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Completion failed');
-      }
-      await loadDataFromServer();
+      return;
+    }
+
+    const results = await runBatchAction({
+      title: `Transferring ${pluralize(productIds.length, 'task')} from ${fromAgent.name} to ${toAgent.name}`,
+      items: productIds,
+      worker: (productId) => api.transferProduct(productId, fromAgent._id, toAgent._id),
+    });
+    setSelectedProductIds(new Set(results.filter(r => !r.ok).map(r => r.item)));
+  }, [transferRequest, memoizedAgentAssignments, runOptimisticAction, runBatchAction, ensureAllowed]);
+
+  const setAgentAvailability = useCallback(async (agentId, status) => {
+    if (!ensureAllowed(PERMISSIONS.SET_AVAILABILITY, agentId)) return;
+    try {
+      storeSavedAgent(await api.updateAgent(agentId, { status }), agentId, { status });
     } catch (error) {
-      console.error('Error completing task:', error);
-      alert(`Error: ${error.message}`);
-    } finally {
-      setIsLoading(false);
+      console.error('Error updating availability:', error);
+      notify(`Could not update status: ${error.message}`, 'error');
     }
-  }, [loadDataFromServer]);
+  }, [ensureAllowed, notify, storeSavedAgent]);
 
-  const completeAllTasksForAgent = useCallback(async (agentId) => {
-    setIsLoading(true);
+  // Adds an agent, or saves a new name/role/shift for the one being edited
+  const saveAgent = useCallback(async (fields) => {
+    const { agent } = agentEditor;
+    setAgentEditor(null);
+    if (!ensureAllowed(PERMISSIONS.MANAGE_ROSTER)) return;
     try {
-      const response = await fetch(`${API_BASE_URL}/complete-all-agent`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ agentId })
-      });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Completion failed');
+      if (agent) {
+        storeSavedAgent(await api.updateAgent(agent._id, fields), agent._id, fields);
+      } else {
+        const created = await api.createAgent(fields);
+        if (created && created._id) setAgents(prev => [...prev, created]); else setAgents(await api.getAgents());
+        setTotalAgents(prev => prev + 1);
       }
-      await loadDataFromServer();
+      notify(`Saved ${fields.name}.`, 'success');
     } catch (error) {
-      console.error('Error completing all tasks for agent:', error);
-      alert(`Error: ${error.message}`);
-    } finally {
-      setIsLoading(false);
+      console.error('Error saving agent:', error);
+      notify(`Could not save ${fields.name}: ${error.message}`, 'error');
     }
-  }, [loadDataFromServer]);
+  }, [agentEditor, ensureAllowed, notify, storeSavedAgent]);
 
-  const unassignProduct = useCallback(async (productId, agentId) => {
-    setIsLoading(true);
-    try {
-      const response = await fetch(`${API_BASE_URL}/unassign-product`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ productId, agentId })
+  // Hands off a leaving agent's open tasks as chosen, then deactivates them
+  // Transfers are reported per task; the agent is only deactivated once every one went through
+  const deactivateAgent = useCallback(async (agent, { handling, toAgent = null }) => {
+    if (!ensureAllowed(PERMISSIONS.MANAGE_ROSTER)) return;
+    const productIds = (memoizedAgentAssignments[agent._id] || []).map(a => a.productId);
+    if (productIds.length > 0 && handling === 'transfer') {
+      const results = await runBatchAction({
+        title: `Transferring ${pluralize(productIds.length, 'task')} from ${agent.name} to ${toAgent.name}`,
+        items: productIds,
+        worker: (productId) => api.transferProduct(productId, agent._id, toAgent._id),
       });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Unassignment failed');
+      const failed = results.filter(r => !r.ok).length;
+      if (failed > 0) {
+        notify(`${agent.name} is still active: ${pluralize(failed, 'task')} could not be transferred.`, 'error');
+        return;
       }
-      await loadDataFromServer();
+    }
+    await runServerAction(`deactivating ${agent.name}`, async () => {
+      if (productIds.length > 0 && handling === 'unassign') {
+        await api.unassignAgent(agent._id, DEACTIVATION_REASON);
+      }
+      await api.updateAgent(agent._id, { active: false });
+    }, `Deactivating ${agent.name}...`);
+  }, [memoizedAgentAssignments, runBatchAction, runServerAction, ensureAllowed, notify]);
+
+  // A transfer goes through the agent picker first, so nobody is pushed over capacity
+  const confirmDeactivation = useCallback(({ handling }) => {
+    const agent = deactivatingAgent;
+    setDeactivatingAgent(null);
+    if (handling === 'transfer') {
+      setDeactivationTransferFrom(agent);
+    } else {
+      deactivateAgent(agent, { handling });
+    }
+  }, [deactivatingAgent, deactivateAgent]);
+
+  const reactivateAgent = useCallback(async (agent) => {
+    if (!ensureAllowed(PERMISSIONS.MANAGE_ROSTER)) return;
+    try {
+      storeSavedAgent(await api.updateAgent(agent._id, { active: true }), agent._id, { active: true });
+      notify(`${agent.name} is active again.`, 'success');
     } catch (error) {
-      console.error('Error unassigning product:', error);
-      alert(`Error: ${error.message}`);
-    } finally {
-      setIsLoading(false);
+      console.error('Error reactivating agent:', error);
+      notify(`Could not reactivate ${agent.name}: ${error.message}`, 'error');
     }
-  }, [loadDataFromServer]);
+  }, [ensureAllowed, notify, storeSavedAgent]);
 
-  const unassignAgentTasks = useCallback(async (agentId) => {
-    setIsLoading(true);
+  // Roster import: parses the CSV/XLSX in the browser and previews additions and changes first
+  const handleRosterFile = useCallback(async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = null;
+    if (!ensureAllowed(PERMISSIONS.MANAGE_ROSTER)) return;
     try {
-      const response = await fetch(`${API_BASE_URL}/unassign-agent`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ agentId })
-      });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Unassignment failed');
-      }
-      await loadDataFromServer();
+      setRosterPreview(await parseRosterFile(file, agents));
     } catch (error) {
-      console.error('Error unassigning agent tasks:', error);
-      alert(`Error: ${error.message}`);
-    } finally {
-      setIsLoading(false);
+      console.error('Error parsing roster:', error);
+      notify(`Could not read ${file.name}: ${error.message}`, 'error');
     }
-  }, [loadDataFromServer]);
+  }, [agents, ensureAllowed, notify]);
 
-  // CSV download handlers
-  const downloadCompletedCSV = useCallback(() => {
-    window.open(`${API_BASE_URL}/download/completed-assignments`, '_blank');
-  }, []);
-  
-  const downloadUnassignedCSV = useCallback(() => {
-    window.open(`${API_BASE_URL}/download/unassigned-products`, '_blank');
-  }, []);
+  const importRoster = useCallback(async () => {
+    const rows = rosterPreview.rows.filter(r => r.errors.length === 0 && r.action !== 'unchanged');
+    setRosterPreview(null);
+    if (!ensureAllowed(PERMISSIONS.MANAGE_ROSTER)) return;
+    await runBatchAction({
+      title: `Importing ${pluralize(rows.length, 'agent')}`,
+      items: rows,
+      getLabel: row => row.agent.name || row.agent._id,
+      worker: (row) => (row.action === 'add'
+        ? api.createAgent(row.changes)
+        : api.updateAgent(row.existing._id, row.changes)),
+    });
+    try {
+      const refreshed = await api.getAgents();
+      setAgents(refreshed);
+      setTotalAgents(refreshed.length);
+    } catch (error) {
+      console.error('Error reloading agents after import:', error);
+    }
+  }, [rosterPreview, runBatchAction, ensureAllowed]);
+
+  const completeTask = useCallback((agentId, productId) => {
+    if (!ensureAllowed(PERMISSIONS.COMPLETE_TASK, agentId)) return Promise.resolve();
+    const active = (memoizedAgentAssignments[agentId] || []).filter(a => a.productId === productId);
+    return runOptimisticAction({
+      description: `completing ${productId}`,
+      action: () => sendOrQueue({ type: 'complete', agentId, productId }, () => api.completeTask(agentId, productId)),
+      ...endAssignments(active, { completed: true, completedOn: new Date().toISOString() }),
+    });
+  }, [memoizedAgentAssignments, runOptimisticAction, sendOrQueue, ensureAllowed]);
+
+  const completeAllTasksForAgent = useCallback((agentId) => {
+    if (!ensureAllowed(PERMISSIONS.BULK_ACTIONS, agentId)) return Promise.resolve();
+    const active = memoizedAgentAssignments[agentId] || [];
+    return runOptimisticAction({
+      description: 'completing all tasks',
+      action: () => api.completeAllForAgent(agentId),
+      ...endAssignments(active, { completed: true, completedOn: new Date().toISOString() }),
+    });
+  }, [memoizedAgentAssignments, runOptimisticAction, ensureAllowed]);
+
+  const unassignProduct = useCallback((productId, agentId, reason) => {
+    if (!ensureAllowed(PERMISSIONS.UNASSIGN_TASK, agentId)) return Promise.resolve();
+    const active = (memoizedAgentAssignments[agentId] || []).filter(a => a.productId === productId);
+    return runOptimisticAction({
+      description: `unassigning ${productId}`,
+      action: () => sendOrQueue(
+        { type: 'unassign', agentId, productId, reason },
+        () => api.unassignProduct(productId, agentId, reason)
+      ),
+      ...endAssignments(active, { unassignedTime: new Date().toISOString(), unassignReason: reason }, { assigned: false }),
+    });
+  }, [memoizedAgentAssignments, runOptimisticAction, sendOrQueue, ensureAllowed]);
+
+  // Completes or unassigns only the chosen tasks, one request per product, each applied
+  // optimistically and queued like a single-row action if the server can't be reached.
+  // Failures stay selected.
+  const completeSelectedTasks = useCallback(async (agent, productIds) => {
+    if (!ensureAllowed(PERMISSIONS.COMPLETE_TASK, agent._id)) return;
+    const agentId = agent._id;
+    const results = await runBatchAction({
+      title: `Completing ${pluralize(productIds.length, 'task')} for ${agent.name}`,
+      items: productIds,
+      worker: (productId) => runOptimisticAction({
+        description: `completing ${productId}`,
+        action: () => sendOrQueue({ type: 'complete', agentId, productId }, () => api.completeTask(agentId, productId)),
+        ...endAssignments(
+          (memoizedAgentAssignments[agentId] || []).filter(a => a.productId === productId),
+          { completed: true, completedOn: new Date().toISOString() }
+        ),
+        batched: true,
+      }),
+    });
+    setSelectedProductIds(new Set(results.filter(r => !r.ok).map(r => r.item)));
+  }, [memoizedAgentAssignments, runBatchAction, runOptimisticAction, sendOrQueue, ensureAllowed]);
+
+  const unassignSelectedTasks = useCallback(async (agent, productIds, reason) => {
+    if (!ensureAllowed(PERMISSIONS.UNASSIGN_TASK, agent._id)) return;
+    const agentId = agent._id;
+    const results = await runBatchAction({
+      title: `Unassigning ${pluralize(productIds.length, 'task')} from ${agent.name}`,
+      items: productIds,
+      worker: (productId) => runOptimisticAction({
+        description: `unassigning ${productId}`,
+        action: () => sendOrQueue(
+          { type: 'unassign', agentId, productId, reason },
+          () => api.unassignProduct(productId, agentId, reason)
+        ),
+        ...endAssignments(
+          (memoizedAgentAssignments[agentId] || []).filter(a => a.productId === productId),
+          { unassignedTime: new Date().toISOString(), unassignReason: reason },
+          { assigned: false }
+        ),
+        batched: true,
+      }),
+    });
+    setSelectedProductIds(new Set(results.filter(r => !r.ok).map(r => r.item)));
+  }, [memoizedAgentAssignments, runBatchAction, runOptimisticAction, sendOrQueue, ensureAllowed]);
+
+  const unassignAgentTasks = useCallback((agentId, reason) => {
+    if (!ensureAllowed(PERMISSIONS.BULK_ACTIONS, agentId)) return Promise.resolve();
+    const active = memoizedAgentAssignments[agentId] || [];
+    return runOptimisticAction({
+      description: 'unassigning tasks',
+      action: () => api.unassignAgent(agentId, reason),
+      ...endAssignments(active, { unassignedTime: new Date().toISOString(), unassignReason: reason }, { assigned: false }),
+    });
+  }, [memoizedAgentAssignments, runOptimisticAction, ensureAllowed]);
 
   // View Switching
   const handleViewChange = useCallback((newView) => {
-    setSelectedAgent(null);
-    if (newView === 'unassigned') {
-      loadPreviouslyAssigned();
-    }
-    setView(newView);
+    navigate(`/${newView}`);
     setMenuOpen(false);
-  }, [loadPreviouslyAssigned]);
+  }, [navigate]);
+
+  const goToDirectory = useCallback(() => navigate('/agents'), [navigate]);
+
+  // Views the user can open, shared by the side menu and the command palette
+  const navItems = useMemo(() => [
+    { path: 'my-work', label: 'My Work' },
+    ...(canViewTeam
+      ? [
+        { path: 'agents', label: 'Agent Directory' },
+        { path: 'completed', label: 'Completed Tasks' },
+        { path: 'available', label: 'Available Products' },
+        { path: 'queue', label: 'Queue' },
+        { path: 'unassigned', label: 'Unassigned Tasks' },
+        { path: 'analytics', label: 'Analytics' },
+      ]
+      : [{ path: `agents/${currentUser._id}`, label: 'My Dashboard' }]),
+  ], [canViewTeam, currentUser]);
+
+  // Confirmation flow for destructive actions: the action only runs once the dialog is confirmed
+  const closeConfirmDialog = useCallback(() => {
+    setConfirmDialog({ show: false, title: '', message: '', confirmLabel: '', requireText: '', askReason: false, onConfirm: null });
+  }, []);
+
+  // With askReason the dialog collects an unassignment reason and passes it to onConfirm
+  const requestConfirmation = useCallback(({ title, message, confirmLabel = 'Confirm', requireText = '', askReason = false, onConfirm }) => {
+    setConfirmDialog({
+      show: true,
+      title,
+      message,
+      confirmLabel,
+      requireText,
+      askReason,
+      onConfirm: (reason) => {
+        closeConfirmDialog();
+        onConfirm(reason);
+      },
+    });
+  }, [closeConfirmDialog]);
+
+  const confirmUnassignAgentTasks = useCallback((agent, taskCount) => {
+    const items = getAgentWorkloadCount(agent._id);
+    requestConfirmation({
+      title: 'Unassign Tasks',
+      message: `Unassign ${pluralize(taskCount, 'task')} totalling ${pluralize(items, 'item')} from ${agent.name}. They will go back to the Unassigned Tasks list.`,
+      confirmLabel: 'Unassign Tasks',
+      requireText: agent.name,
+      askReason: true,
+      onConfirm: (reason) => unassignAgentTasks(agent._id, reason),
+    });
+  }, [getAgentWorkloadCount, requestConfirmation, unassignAgentTasks]);
+
+  const confirmCompleteAllTasks = useCallback((agent, taskCount) => {
+    const items = getAgentWorkloadCount(agent._id);
+    requestConfirmation({
+      title: 'Complete All',
+      message: `Complete ${pluralize(taskCount, 'task')} totalling ${pluralize(items, 'item')} for ${agent.name}.`,
+      confirmLabel: 'Complete All',
+      requireText: agent.name,
+      onConfirm: () => completeAllTasksForAgent(agent._id),
+    });
+  }, [getAgentWorkloadCount, requestConfirmation, completeAllTasksForAgent]);
+
+  const confirmUnassignProduct = useCallback((agent, productId, count) => {
+    requestConfirmation({
+      title: 'Unassign Task',
+      message: `Unassign product ${productId} (${pluralize(count, 'item')}) from ${agent.name}.`,
+      confirmLabel: 'Unassign',
+      askReason: true,
+      onConfirm: (reason) => unassignProduct(productId, agent._id, reason),
+    });
+  }, [requestConfirmation, unassignProduct]);
+
+  const confirmCompleteSelected = useCallback((agent, productIds) => {
+    requestConfirmation({
+      title: 'Complete Selected',
+      message: `Complete ${pluralize(productIds.length, 'task')} totalling ${pluralize(countItems(productIds), 'item')} for ${agent.name}.`,
+      confirmLabel: 'Complete Selected',
+      onConfirm: () => completeSelectedTasks(agent, productIds),
+    });
+  }, [requestConfirmation, countItems, completeSelectedTasks]);
+
+  const confirmUnassignSelected = useCallback((agent, productIds) => {
+    requestConfirmation({
+      title: 'Unassign Selected',
+      message: `Unassign ${pluralize(productIds.length, 'task')} totalling ${pluralize(countItems(productIds), 'item')} from ${agent.name}. They will go back to the Unassigned Tasks list.`,
+      confirmLabel: 'Unassign Selected',
+      askReason: true,
+      onConfirm: (reason) => unassignSelectedTasks(agent, productIds, reason),
+    });
+  }, [requestConfirmation, countItems, unassignSelectedTasks]);
+
+  // My Work: the agent's tasks in dashboard order, for keyboard navigation
+  const myWorkTaskIds = useMemo(() => (isMyWork && selectedAgent
+    ? (memoizedAgentAssignments[selectedAgent] || []).filter(a => !a.pending).map(a => a.productId)
+    : []), [isMyWork, selectedAgent, memoizedAgentAssignments]);
+
+  const moveTaskFocus = useCallback((step) => {
+    if (myWorkTaskIds.length === 0) return;
+    const index = myWorkTaskIds.indexOf(focusedProductId);
+    const next = index === -1
+      ? (step > 0 ? 0 : myWorkTaskIds.length - 1)
+      : Math.min(Math.max(index + step, 0), myWorkTaskIds.length - 1);
+    setFocusedProductId(myWorkTaskIds[next]);
+  }, [myWorkTaskIds, focusedProductId]);
+
+  const isDialogOpen = confirmDialog.show || assignPickerOpen || paletteOpen
+    || Boolean(transferRequest || batchProgress || uploadPreview || timelineProductId || requestTasksAgentId)
+    || Boolean(agentEditor || deactivatingAgent || deactivationTransferFrom || rosterPreview);
+  const canActOnFocusedTask = myWorkTaskIds.includes(focusedProductId) && !pendingProductIds.has(focusedProductId);
+
+  useKeyboardShortcuts({
+    j: () => moveTaskFocus(1),
+    ArrowDown: () => moveTaskFocus(1),
+    k: () => moveTaskFocus(-1),
+    ArrowUp: () => moveTaskFocus(-1),
+    c: () => {
+      if (!canActOnFocusedTask) return;
+      // Move on to the next task so repeated presses work through the list
+      const index = myWorkTaskIds.indexOf(focusedProductId);
+      setFocusedProductId(myWorkTaskIds[index + 1] ?? myWorkTaskIds[index - 1] ?? null);
+      completeTask(selectedAgent, focusedProductId);
+    },
+    u: () => {
+      const agent = agents.find(a => a._id === selectedAgent);
+      if (!agent || !canActOnFocusedTask) return;
+      confirmUnassignProduct(agent, focusedProductId, parseInt(productsById[focusedProductId]?.count, 10) || 1);
+    },
+    r: () => requestTask(selectedAgent),
+  }, isMyWork && Boolean(selectedAgent) && !isDialogOpen && !isLoading);
+
+  useEffect(() => {
+    document.querySelector('.row-focused')?.scrollIntoView?.({ block: 'nearest' });
+  }, [focusedProductId]);
+
+  // Ctrl+K (Cmd+K on Mac) opens the command palette from anywhere, unless another dialog is up
+  const otherDialogOpen = isDialogOpen && !paletteOpen;
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'k' || otherDialogOpen) return;
+      event.preventDefault();
+      setPaletteOpen(prev => !prev);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [otherDialogOpen]);
+
+  const paletteCommands = useMemo(() => [
+    ...navItems.map(item => ({ id: item.path, label: `Go to ${item.label}`, run: () => navigate(`/${item.path}`) })),
+    ...(can(PERMISSIONS.REFRESH) ? [{ id: 'refresh', label: 'Refresh Data', run: handleRefreshData }] : []),
+  ], [navItems, navigate, can, handleRefreshData]);
+
+  const locateProductIds = useCallback(
+    (ids) => locateProducts(ids, { productsById, assignments, previouslyAssigned }),
+    [productsById, assignments, previouslyAssigned],
+  );
+
+  const getAgentName = useCallback((agentId) => agents.find(a => a._id === agentId)?.name || 'Unknown agent', [agents]);
+
+  // Links and quick actions for a looked-up product, limited to what the user may do
+  const getProductActions = useCallback(({ id, state, agentId, product }) => {
+    const actions = [{ label: 'History', run: () => setTimelineProductId(id) }];
+    if (state === 'assigned') {
+      const agent = agents.find(a => a._id === agentId);
+      if (can(PERMISSIONS.VIEW_DASHBOARD, agentId)) {
+        actions.push({ label: 'Open Dashboard', run: () => navigate(`/agents/${agentId}`) });
+      }
+      if (can(PERMISSIONS.COMPLETE_TASK, agentId)) {
+        actions.push({ label: 'Complete', run: () => completeTask(agentId, id) });
+      }
+      if (agent && can(PERMISSIONS.UNASSIGN_TASK, agentId)) {
+        actions.push({ label: 'Unassign', run: () => confirmUnassignProduct(agent, id, parseInt(product?.count, 10) || 1) });
+      }
+    } else if (canViewTeam) {
+      const view = { queued: 'available', completed: 'completed', unassigned: 'unassigned' }[state];
+      const item = navItems.find(i => i.path === view);
+      if (item) actions.push({ label: `Open ${item.label}`, run: () => navigate(`/${view}`) });
+    }
+    return actions;
+  }, [agents, can, canViewTeam, navItems, navigate, completeTask, confirmUnassignProduct]);
+
+  const autoRequestBelow = isMyWork && selectedAgent ? preferences.autoRequest[selectedAgent] ?? null : null;
+
+  const setAutoRequestBelow = useCallback((agentId, threshold) => {
+    setAutoRequestPaused(false);
+    updatePreferences(prev => ({ autoRequest: { ...prev.autoRequest, [agentId]: threshold } }));
+  }, [updatePreferences]);
+
+  // Tops the agent up whenever their workload drops below their threshold. A failed request pauses
+  // this until they resume it; `now` re-checks every minute in case the queue refilled.
+  useEffect(() => {
+    if (!autoRequestBelow || autoRequestPaused || isLoading) return;
+    // Deactivated agents are never topped up
+    if (!isActiveAgent(agents.find(a => a._id === selectedAgent))) return;
+    const workload = getAgentWorkloadCount(selectedAgent);
+    if (workload >= autoRequestBelow || workload >= getAgentCapacityById(selectedAgent)) return;
+    if (Date.now() - lastAutoRequestRef.current < AUTO_REQUEST_MIN_INTERVAL_MS) return;
+    lastAutoRequestRef.current = Date.now();
+    requestTask(selectedAgent).then(ok => {
+      if (!ok) setAutoRequestPaused(true);
+    });
+  }, [autoRequestBelow, autoRequestPaused, isLoading, agents, selectedAgent, getAgentWorkloadCount, getAgentCapacityById, requestTask, now]);
+
+  const confirmResetPreferences = useCallback(() => {
+    requestConfirmation({
+      title: 'Reset Preferences',
+      message: 'Restore the default theme and forget the last visited view and all saved column and sort settings.',
+      confirmLabel: 'Reset',
+      onConfirm: resetPreferences,
+    });
+  }, [requestConfirmation, resetPreferences]);
+
+  const confirmRefreshData = useCallback(() => {
+    requestConfirmation({
+      title: 'Refresh Data',
+      message: 'Re-sync the queue on the server and reload all products, agents and assignments. This may take a while.',
+      confirmLabel: 'Refresh',
+      onConfirm: handleRefreshData,
+    });
+  }, [requestConfirmation, handleRefreshData]);
 
   // Render Functions
   const renderConfirmDialog = useCallback(() => {
     if (!confirmDialog.show) return null;
     return (
-      <div className="confirm-overlay">
-        <div className="confirm-dialog">
-          <h3>{confirmDialog.title}</h3>
-          <p>{confirmDialog.message}</p>
-          <div className="confirm-buttons">
-            <button
-              onClick={() =>
-                setConfirmDialog({ show: false, title: '', message: '', onConfirm: null })
-              }
-              className="cancel-button"
-            >
-              Cancel
-            </button>
-            <button onClick={confirmDialog.onConfirm} className="confirm-button">
-              Confirm
-            </button>
-          </div>
-        </div>
-      </div>
+      <ConfirmDialog
+        title={confirmDialog.title}
+        message={confirmDialog.message}
+        confirmLabel={confirmDialog.confirmLabel}
+        requireText={confirmDialog.requireText}
+        askReason={confirmDialog.askReason}
+        onConfirm={confirmDialog.onConfirm}
+        onCancel={closeConfirmDialog}
+      />
     );
-  }, [confirmDialog]);
+  }, [confirmDialog, closeConfirmDialog]);
 
   const renderHeader = useCallback(() => (
     <header className={`app-header ${darkMode ? 'dark-mode' : 'light-mode'}`}>
@@ -449,9 +1384,58 @@ function App() {
         </button>
         <h1 className="brand-title">Product Assignment</h1>
       </div>
-      <div className="header-right"></div>
+      <div className="header-right">
+        <span className={`connection-status ${connectionStatus}`} title="Live updates from the server">
+          <span className="connection-dot"></span>
+          {CONNECTION_LABELS[connectionStatus]}
+        </span>
+        <NotificationCenter
+          toasts={toasts}
+          history={errorHistory}
+          onDismiss={dismissToast}
+          onClearHistory={clearHistory}
+        />
+        <span className="current-user">
+          {currentUser.name} ({currentUser.role})
+          <button onClick={() => logout()}>Sign Out</button>
+        </span>
+      </div>
     </header>
-  ), [darkMode, toggleMenu]);
+  ), [darkMode, toggleMenu, connectionStatus, currentUser, logout, toasts, errorHistory, dismissToast, clearHistory]);
+
+  // Stale-data and queued-action notice while offline or catching up
+  const renderOfflineBanner = useCallback(() => {
+    // Before anything has loaded, the load error panel explains the failure instead
+    const offline = loadStages.productsLoaded ? offlineState : null;
+    if (!offline && offlineQueue.length === 0) return null;
+    return (
+      <div className={`offline-banner ${offline ? 'stale' : ''}`} role="status">
+        {offline && (
+          <span>
+            {offline.savedAt
+              ? `Offline: showing data saved ${new Date(offline.savedAt).toLocaleString()}, which may be out of date.`
+              : 'Offline: the server cannot be reached, so this data may be out of date.'}
+            {' '}({offline.reason})
+          </span>
+        )}
+        {offlineQueue.length > 0 && (
+          <span>
+            {pluralize(offlineQueue.length, 'action')} waiting to be sent.
+            <button onClick={replayOfflineQueue}>Send Now</button>
+          </span>
+        )}
+        {offline && (
+          <RetryStatus retryAt={offline.retryAt} onRetry={() => loadDataFromServer()} retrying={loadInFlight} />
+        )}
+      </div>
+    );
+  }, [offlineState, loadStages.productsLoaded, offlineQueue, loadInFlight, replayOfflineQueue, loadDataFromServer]);
+
+  // Quick link back to the dashboard the user last worked in, if that agent still exists
+  const lastAgent = useMemo(
+    () => (canViewTeam && agents.find(a => a._id === preferences.lastAgentId)) || null,
+    [agents, preferences.lastAgentId, canViewTeam]
+  );
 
   const renderSideMenu = useCallback(() => (
     <div className={`side-menu ${menuOpen ? 'open' : ''} ${darkMode ? 'dark-mode' : 'light-mode'}`}>
@@ -459,77 +1443,220 @@ function App() {
         ✕
       </button>
       <nav className="side-menu-nav">
-        <button onClick={() => handleViewChange('agents')} disabled={isLoading}>
-          Agent Directory
-        </button>
-        <button onClick={() => handleViewChange('completed')} disabled={isLoading}>
-          Completed Tasks
-        </button>
-        <button onClick={() => handleViewChange('available')} disabled={isLoading}>
-          Available Products
-        </button>
-        <button onClick={() => handleViewChange('queue')} disabled={isLoading}>
-          Queue
-        </button>
-        <button onClick={() => handleViewChange('unassigned')} disabled={isLoading}>
-          Unassigned Tasks
+        {navItems.map(item => (
+          <button key={item.path} onClick={() => handleViewChange(item.path)} disabled={isLoading}>
+            {item.label}
+          </button>
+        ))}
+        <button onClick={() => { setMenuOpen(false); setPaletteOpen(true); }} disabled={isLoading}>
+          Find Products… <kbd>Ctrl+K</kbd>
         </button>
+        {lastAgent && (
+          <button onClick={() => navigate(`/agents/${lastAgent._id}`)} disabled={isLoading}>
+            Back to {lastAgent.name}
+          </button>
+        )}
         <hr />
-        <button onClick={toggleTheme} className="theme-toggle-button">
-          {darkMode ? 'Light Mode' : 'Dark Mode'}
+        <label className="theme-select">
+          Theme
+          <select value={preferences.theme} onChange={(e) => setTheme(e.target.value)}>
+            <option value="system">System</option>
+            <option value="light">Light</option>
+            <option value="dark">Dark</option>
+          </select>
+        </label>
+        <button onClick={confirmResetPreferences} className="theme-toggle-button">
+          Reset Preferences
         </button>
       </nav>
-      <hr />
-      <div className="menu-upload-section">
-        <label htmlFor="output-csv" className="upload-icon">
-          <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill={darkMode ? '#fff' : '#0d6efd'}>
-            <path d="M5 20h14v-2H5v2zm7-18L5.33 9h3.84v4h6.66v-4h3.84L12 2z" />
-          </svg>
-          <span>Upload CSV</span>
-        </label>
-        <input type="file" id="output-csv" accept=".csv" onChange={handleFileUpload} disabled={isLoading} className="file-input" />
-      </div>
+      {can(PERMISSIONS.UPLOAD) && (
+        <>
+          <hr />
+          <div className="menu-upload-section">
+            <label htmlFor="output-csv" className="upload-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill={darkMode ? '#fff' : '#0d6efd'}>
+                <path d="M5 20h14v-2H5v2zm7-18L5.33 9h3.84v4h6.66v-4h3.84L12 2z" />
+              </svg>
+              <span>Upload CSV / XLSX</span>
+            </label>
+            <input type="file" id="output-csv" accept={SHEET_FILE_TYPES} onChange={handleFileUpload} disabled={isLoading} className="file-input" />
+          </div>
+        </>
+      )}
+    </div>
+  ), [darkMode, menuOpen, isLoading, handleViewChange, handleFileUpload, preferences.theme, setTheme, confirmResetPreferences, lastAgent, navigate, can, navItems]);
+
+  const renderWorkloadBar = useCallback((agentId) => (
+    <WorkloadBar workload={getAgentWorkloadCount(agentId)} capacity={getAgentCapacityById(agentId)} />
+  ), [getAgentWorkloadCount, getAgentCapacityById]);
+
+  // Row selection wiring for DataTable
+  const productSelection = useMemo(() => ({
+    selectedIds: selectedProductIds,
+    onToggle: toggleProductSelection,
+    onSetMany: setManyProductsSelected,
+  }), [selectedProductIds, toggleProductSelection, setManyProductsSelected]);
+
+  // The "Assign to…" action for product lists
+  const renderAssignToolbar = useCallback(() => (
+    <div className="selection-toolbar">
+      <span>{pluralize(selectedProductIds.size, 'product')} selected ({pluralize(selectedItemCount, 'item')})</span>
+      <button onClick={() => setAssignPickerOpen(true)} disabled={isLoading || selectedProductIds.size === 0}>
+        Assign to…
+      </button>
+      {selectedProductIds.size > 0 && (
+        <button onClick={clearProductSelection}>Clear selection</button>
+      )}
+    </div>
+  ), [selectedProductIds, selectedItemCount, isLoading, clearProductSelection]);
+
+  const renderNotFound = useCallback((message) => (
+    <div className="view-section not-found">
+      <h2>Not Found</h2>
+      <p>{message}</p>
+      <button className="back-button" onClick={goToDirectory}>
+        Back to Directory
+      </button>
     </div>
-  ), [darkMode, menuOpen, isLoading, handleViewChange, handleFileUpload, toggleTheme]);
+  ), [goToDirectory]);
+
+  // Table columns per view; product IDs open the product's timeline
+  const productIdColumn = useMemo(() => withTimelineLink(PRODUCT_COLUMNS.id, setTimelineProductId), []);
+
+  const queueColumns = useMemo(() => [
+    productIdColumn,
+    PRODUCT_COLUMNS.name,
+    PRODUCT_COLUMNS.count,
+    PRODUCT_COLUMNS.tenantId,
+    PRODUCT_COLUMNS.priority,
+    PRODUCT_COLUMNS.createdOn,
+    ...makeAgeColumns(now),
+    PRODUCT_COLUMNS.assigned,
+  ], [now, productIdColumn]);
+
+  const availableColumns = useMemo(() => [
+    productIdColumn,
+    PRODUCT_COLUMNS.count,
+    PRODUCT_COLUMNS.tenantId,
+    PRODUCT_COLUMNS.priority,
+    PRODUCT_COLUMNS.createdOn,
+    ...makeAgeColumns(now),
+  ], [now, productIdColumn]);
+
+  const completedColumns = useMemo(() => [
+    { ...productIdColumn, label: 'Product ID' },
+    { key: 'completedBy', label: 'Completed By', filter: 'text' },
+    { ...PRODUCT_COLUMNS.count, label: 'Task Count' },
+    PRODUCT_COLUMNS.tenantId,
+    PRODUCT_COLUMNS.priority,
+    PRODUCT_COLUMNS.createdOn,
+    { key: 'completedTime', label: 'Completed Time', type: 'date' },
+  ], [productIdColumn]);
+
+  const previouslyAssignedColumns = useMemo(() => [
+    productIdColumn,
+    PRODUCT_COLUMNS.count,
+    PRODUCT_COLUMNS.tenantId,
+    PRODUCT_COLUMNS.priority,
+    PRODUCT_COLUMNS.createdOn,
+    { key: 'unassignedTime', label: 'Unassigned Time', type: 'date' },
+    { key: 'unassignedBy', label: 'Unassigned By', filter: 'select' },
+    { key: 'unassignReason', label: 'Reason', filter: 'text', value: row => formatUnassignReason(row.unassignReason) },
+    {
+      key: 'timesUnassigned',
+      label: 'Times Unassigned',
+      type: 'number',
+      value: row => Math.max(unassignCountsByProduct[row.id] || 0, 1),
+    },
+  ], [productIdColumn, unassignCountsByProduct]);
+
+  const directoryColumns = useMemo(() => [
+    { key: 'name', label: 'Name', hideable: false },
+    { key: 'role', label: 'Role' },
+    {
+      key: 'availability',
+      label: 'Status',
+      value: agent => AVAILABILITY_LABELS[getAvailability(agent, now)],
+      render: agent => {
+        const status = getAvailability(agent, now);
+        const shift = formatShift(agent.shift);
+        return (
+          <>
+            <span className={`availability-badge ${status}`}>{AVAILABILITY_LABELS[status]}</span>
+            {shift && <small className="availability-shift">{shift}</small>}
+          </>
+        );
+      },
+    },
+    {
+      key: 'workload',
+      label: 'Workload',
+      type: 'number',
+      value: agent => getAgentWorkloadCount(agent._id),
+      render: agent => renderWorkloadBar(agent._id),
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      sortable: false,
+      hideable: false,
+      exportable: false,
+      render: agent => (
+        <div className="agent-actions">
+          <button
+            className="view-dashboard-btn"
+            onClick={() => navigate(`/agents/${agent._id}`)}
+          >
+            View Dashboard
+          </button>
+          {can(PERMISSIONS.MANAGE_ROSTER) && (
+            <>
+              <button onClick={() => setAgentEditor({ agent })}>Edit</button>
+              {!isActiveAgent(agent) ? (
+                <button onClick={() => reactivateAgent(agent)}>Reactivate</button>
+              ) : agent._id !== currentUser._id && (
+                <button className="deactivate-btn" onClick={() => setDeactivatingAgent(agent)}>Deactivate</button>
+              )}
+            </>
+          )}
+        </div>
+      ),
+    },
+  ], [getAgentWorkloadCount, renderWorkloadBar, navigate, can, currentUser, reactivateAgent, now]);
+
+  // Completed tasks as product-shaped rows
+  const completedRows = useMemo(() => {
+    return Object.entries(groupedCompletedTasks).map(([prodId, data]) => ({
+      id: prodId,
+      completedBy: Array.from(data.agentNames).join(', '),
+      count: data.count,
+      tenantId: data.tenantId,
+      priority: data.priority,
+      createdOn: data.createdOn,
+      completedTime: data.completedTime,
+    }));
+  }, [groupedCompletedTasks]);
 
   const renderQueue = useCallback(() => (
     <div className="view-section">
       <h2>Queue</h2>
-      {products.length === 0 ? (
-        <p>No products found.</p>
-      ) : (
-        <table className="assignments-table">
-          <thead>
-            <tr>
-              <th className="product-id">Abstract ID</th>
-              <th>Name</th>
-              <th>Count</th>
-              <th>Tenant ID</th>
-              <th>Priority</th>
-              <th>Created On</th>
-              <th>Assigned</th>
-            </tr>
-          </thead>
-          <tbody>
-            {products.map((p) => (
-              <tr key={p.id}>
-                <td className="product-id">{p.id}</td>
-                <td>{p.name || 'N/A'}</td>
-                <td>{p.count || 1}</td>
-                <td>{p.tenantId || 'N/A'}</td>
-                <td>{p.priority || 'N/A'}</td>
-                <td>{p.createdOn || 'N/A'}</td>
-                <td>{p.assigned ? 'Yes' : 'No'}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      )}
-      <button className="back-button" onClick={() => setView('agents')}>
+      {renderAssignToolbar()}
+      <DataTable
+        id="queue"
+        columns={queueColumns}
+        rows={queueProducts}
+        rowKey={p => p.id}
+        exportName="queue"
+        exportSummary={{ agentOf: p => activeAgentNameByProduct[p.id] || 'Unassigned' }}
+        rowClassName={p => slaRowClass(p, now)}
+        selection={{ ...productSelection, isSelectable: p => !p.assigned }}
+        emptyMessage="No products found."
+      />
+      <button className="back-button" onClick={goToDirectory}>
         Back to Directory
       </button>
     </div>
-  ), [products]);
+  ), [queueProducts, queueColumns, now, activeAgentNameByProduct, productSelection, renderAssignToolbar, goToDirectory]);
 
   const renderAgentDirectory = useCallback(() => (
     <div className="agent-list-section">
@@ -541,254 +1668,333 @@ function App() {
           <p>Total Products: {totalProducts}</p>
           <p>Total Assignments: {totalAssignments}</p>
         </div>
+        <div className="status-card on-now-card">
+          <h3>Who's On Now</h3>
+          <p>
+            <span className="availability-badge available">{availabilitySummary.available.length} available</span>{' '}
+            <span className="availability-badge break">{availabilitySummary.break.length} on break</span>{' '}
+            <span className="availability-badge offline">{availabilitySummary.offline.length} offline</span>
+          </p>
+          {availabilitySummary.available.length > 0 && (
+            <p className="on-now-names">{availabilitySummary.available.map(a => a.name).join(', ')}</p>
+          )}
+        </div>
+        <div className={`status-card sla-card ${slaSummary.breached > 0 ? 'breaching' : ''}`}>
+          <h3>SLA</h3>
+          <p className="sla-breaching-count">Breaching now: {slaSummary.breached}</p>
+          <p>Nearing SLA: {slaSummary.warning}</p>
+          {slaSummary.topTenants.length > 0 && (
+            <p className="sla-tenants">
+              Most breaches: {slaSummary.topTenants.map(([tenant, count]) => `${tenant} (${count})`).join(', ')}
+            </p>
+          )}
+        </div>
       </div>
       <div className="search-box">
         <input type="text" placeholder="Search agents..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} />
-        <button onClick={handleRefreshData} className="refresh-button">
-          Refresh
-        </button>
+        <select className="role-filter" value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)}>
+          <option value="">All roles</option>
+          {agentRoles.map(role => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        <select className="availability-filter" aria-label="Availability" value={availabilityFilter} onChange={(e) => setAvailabilityFilter(e.target.value)}>
+          <option value="">All statuses</option>
+          {Object.values(AVAILABILITY).map(status => (
+            <option key={status} value={status}>{AVAILABILITY_LABELS[status]}</option>
+          ))}
+        </select>
+        <label className="show-inactive">
+          <input type="checkbox" checked={Boolean(showInactive)} onChange={(e) => setShowInactive(e.target.checked ? '1' : '')} />
+          Show inactive
+        </label>
+        {can(PERMISSIONS.REFRESH) && (
+          <button onClick={confirmRefreshData} className="refresh-button">
+            Refresh
+          </button>
+        )}
+        {can(PERMISSIONS.MANAGE_ROSTER) && (
+          <>
+            <button onClick={() => setAgentEditor({ agent: null })} className="add-agent-button">
+              Add Agent
+            </button>
+            <label htmlFor="roster-file" className="import-roster-button">
+              Import Roster
+            </label>
+            <input type="file" id="roster-file" accept={SHEET_FILE_TYPES} onChange={handleRosterFile} className="file-input" />
+          </>
+        )}
       </div>
-      {filteredAgents.length === 0 ? (
-        <p>No agents found.</p>
-      ) : (
-        <table className="agents-table">
-          <thead>
-            <tr>
-              <th>Name</th>
-              <th>Role</th>
-              <th>Workload</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {filteredAgents.map((agent) => (
-              <tr key={agent._id}>
-                <td>{agent.name}</td>
-                <td>{agent.role}</td>
-                <td>{getAgentWorkloadCount(agent._id)}/30</td>
-                <td>
-                  <button
-                    className="view-dashboard-btn"
-                    onClick={() => { setSelectedAgent(agent._id); setView('agent-dashboard'); }}
-                  >
-                    View Dashboard
-                  </button>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      )}
+      <DataTable
+        id="directory"
+        className="agents-table"
+        columns={directoryColumns}
+        rows={filteredAgents}
+        rowKey={agent => agent._id}
+        exportName="agents"
+        rowClassName={agent => (!isActiveAgent(agent)
+          ? 'agent-inactive'
+          : getAgentWorkloadCount(agent._id) > getAgentCapacityById(agent._id) ? 'over-capacity' : '')}
+        emptyMessage="No agents found."
+      />
     </div>
-  ), [filteredAgents, getAgentWorkloadCount, totalAgents, totalProducts, totalAssignments, handleRefreshData, searchTerm]);
+  ), [filteredAgents, directoryColumns, getAgentWorkloadCount, getAgentCapacityById, totalAgents, totalProducts, totalAssignments, slaSummary, can, confirmRefreshData, searchTerm, setSearchTerm, roleFilter, setRoleFilter, agentRoles, showInactive, setShowInactive, handleRosterFile, availabilitySummary, availabilityFilter, setAvailabilityFilter]);
+
+  // Dashboard columns need the agent for their row actions
+  const getDashboardColumns = useCallback((agent) => [
+    {
+      ...productIdColumn,
+      label: 'Product ID',
+      render: row => (row.assignment.pending ? 'Assigning…' : productIdColumn.render(row)),
+    },
+    PRODUCT_COLUMNS.count,
+    PRODUCT_COLUMNS.tenantId,
+    PRODUCT_COLUMNS.priority,
+    PRODUCT_COLUMNS.createdOn,
+    ...makeAgeColumns(now),
+    PRODUCT_COLUMNS.assignedOn,
+    {
+      key: 'actions',
+      label: 'Actions',
+      sortable: false,
+      hideable: false,
+      exportable: false,
+      render: row => {
+        const isPending = row.assignment.pending || pendingProductIds.has(row.id);
+        return (
+          <div className="action-buttons">
+            {can(PERMISSIONS.COMPLETE_TASK, agent._id) && (
+              <button className="complete-task-btn" onClick={() => completeTask(agent._id, row.id)} disabled={isLoading || isPending}>
+                Complete
+              </button>
+            )}
+            {can(PERMISSIONS.UNASSIGN_TASK, agent._id) && (
+              <button className="unassign-task-btn" onClick={() => confirmUnassignProduct(agent, row.id, parseInt(row.count, 10) || 1)} disabled={isLoading || isPending}>
+                Unassign
+              </button>
+            )}
+            {can(PERMISSIONS.TRANSFER_TASKS, agent._id) && (
+              <button className="transfer-task-btn" onClick={() => setTransferRequest({ fromAgent: agent, productIds: [row.id] })} disabled={isLoading || isPending}>
+                Transfer
+              </button>
+            )}
+          </div>
+        );
+      },
+    },
+  ], [now, productIdColumn, isLoading, pendingProductIds, can, completeTask, confirmUnassignProduct]);
 
   const renderAgentDashboard = useCallback(() => {
+    // Agents who open someone else's dashboard are sent back to their own
+    if (!can(PERMISSIONS.VIEW_DASHBOARD, selectedAgent)) {
+      return <Navigate to="/my-work" replace />;
+    }
     const agent = agents.find(a => a._id === selectedAgent);
-    if (!agent) return <p>Agent not found.</p>;
+    if (!agent) return renderNotFound(`No agent found with ID "${selectedAgent}".`);
+    const canManage = can(PERMISSIONS.BULK_ACTIONS, agent._id);
+    const canTransfer = can(PERMISSIONS.TRANSFER_TASKS, agent._id);
+    const canComplete = can(PERMISSIONS.COMPLETE_TASK, agent._id);
+    const canUnassign = can(PERMISSIONS.UNASSIGN_TASK, agent._id);
     const agentAssignments = memoizedAgentAssignments[agent._id] || [];
+    const selectableIds = agentAssignments.filter(a => !a.pending).map(a => a.productId);
+    const selectedIds = selectableIds.filter(id => selectedProductIds.has(id));
+    // Product-shaped rows; placeholder rows for pending requests are keyed by assignment
+    const rows = agentAssignments.map(assign => ({
+      ...productsById[assign.productId],
+      id: assign.productId || assign._id,
+      assignedOn: assign.assignedOn,
+      assignment: assign,
+    }));
     
     return (
       <div className="view-section">
-        <h2>{agent.name} - Dashboard</h2>
-        <p>{agent.role} • {getAgentWorkloadCount(agent._id)}/30 tasks</p>
+        <h2>{agent.name} - {isMyWork ? 'My Work' : 'Dashboard'}</h2>
+        <p>{agent.role} • {getAgentWorkloadCount(agent._id)}/{getAgentCapacityById(agent._id)} tasks</p>
+        {isMyWork && (
+          <MyWorkPanel
+            completedToday={countItemsCompletedOn({ assignments, productsById, agentId: agent._id, day: now })}
+            workload={getAgentWorkloadCount(agent._id)}
+            capacity={getAgentCapacityById(agent._id)}
+            autoRequestBelow={autoRequestBelow}
+            autoRequestPaused={autoRequestPaused}
+            onAutoRequestChange={(threshold) => setAutoRequestBelow(agent._id, threshold)}
+            onResumeAutoRequest={() => setAutoRequestPaused(false)}
+          />
+        )}
+        {can(PERMISSIONS.SET_AVAILABILITY, agent._id) && (
+          <AvailabilityControl
+            agent={agent}
+            now={now}
+            disabled={isLoading}
+            onChange={(status) => setAgentAvailability(agent._id, status)}
+          />
+        )}
+        {can(PERMISSIONS.EDIT_CAPACITY, agent._id) && (
+          <CapacityEditor
+            capacity={getAgentCapacityById(agent._id)}
+            roleCapacity={getRoleCapacity(agent.role)}
+            isCustom={hasCustomCapacity(agent)}
+            disabled={isLoading}
+            onSave={(capacity) => updateAgentCapacity(agent._id, capacity)}
+          />
+        )}
         <div className="dashboard-actions">
-          <button className="request-task-btn" onClick={() => requestTask(agent._id)} disabled={isLoading}>
-            Request Task
-          </button>
-          <button className="unassign-all-btn" onClick={() => unassignAgentTasks(agent._id)} disabled={isLoading || agentAssignments.length === 0}>
-            Unassign Tasks
-          </button>
-          <button className="complete-all-btn" onClick={() => completeAllTasksForAgent(agent._id)} disabled={isLoading || agentAssignments.length === 0}>
-            Complete All
-          </button>
+          {can(PERMISSIONS.REQUEST_TASK, agent._id) && isActiveAgent(agent) && (
+            <button className="request-task-btn" onClick={() => openRequestTasks(agent._id)} disabled={isLoading}>
+              Request Tasks
+            </button>
+          )}
+          {canManage && (
+            <>
+              <button className="unassign-all-btn" onClick={() => confirmUnassignAgentTasks(agent, agentAssignments.length)} disabled={isLoading || agentAssignments.length === 0}>
+                Unassign Tasks
+              </button>
+              <button className="complete-all-btn" onClick={() => confirmCompleteAllTasks(agent, agentAssignments.length)} disabled={isLoading || agentAssignments.length === 0}>
+                Complete All
+              </button>
+            </>
+          )}
+          {canComplete && (
+            <button
+              className="complete-selected-btn"
+              onClick={() => confirmCompleteSelected(agent, selectedIds)}
+              disabled={isLoading || selectedIds.length === 0}
+            >
+              Complete Selected
+            </button>
+          )}
+          {canUnassign && (
+            <button
+              className="unassign-selected-btn"
+              onClick={() => confirmUnassignSelected(agent, selectedIds)}
+              disabled={isLoading || selectedIds.length === 0}
+            >
+              Unassign Selected
+            </button>
+          )}
+          {canTransfer && (
+            <button
+              className="transfer-selected-btn"
+              onClick={() => setTransferRequest({ fromAgent: agent, productIds: selectedIds })}
+              disabled={isLoading || selectedIds.length === 0}
+            >
+              Transfer Selected to…
+            </button>
+          )}
+          {!isMyWork && (
+            <button className="my-work-btn" onClick={() => navigate(agent._id === currentUser._id ? '/my-work' : `/my-work?agent=${agent._id}`)}>
+              Open in My Work
+            </button>
+          )}
           <button
             className="copy-ids-btn"
             onClick={() => {
-              const ids = agentAssignments.map(a => a.productId).join(', ');
+              const ids = selectableIds.join(', ');
               navigator.clipboard.writeText(ids)
-                .then(() => alert('Product IDs copied!'))
-                .catch(() => alert('Failed to copy product IDs.'));
+                .then(() => notify('Product IDs copied!', 'success'))
+                .catch(() => notify('Failed to copy product IDs.', 'error'));
             }}
             disabled={agentAssignments.length === 0}
           >
             Copy Product IDs
           </button>
         </div>
-        {agentAssignments.length === 0 ? (
-          <p>No tasks assigned.</p>
-        ) : (
-          <table className="assignments-table">
-            <thead>
-              <tr>
-                <th className="product-id">Product ID</th>
-                <th>Count</th>
-                <th>Tenant ID</th>
-                <th>Priority</th>
-                <th>Created On</th>
-                <th>Assigned On</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {agentAssignments.map((assign) => {
-                const product = products.find(p => p.id === assign.productId);
-                return (
-                  <tr key={assign._id}>
-                    <td className="product-id">{assign.productId}</td>
-                    <td>{product?.count || 1}</td>
-                    <td>{product?.tenantId || 'N/A'}</td>
-                    <td>{product?.priority || 'N/A'}</td>
-                    <td>{product?.createdOn || 'N/A'}</td>
-                    <td>{assign.assignedOn || 'N/A'}</td>
-                    <td>
-                      <div className="action-buttons">
-                        <button className="complete-task-btn" onClick={() => completeTask(agent._id, assign.productId)} disabled={isLoading}>
-                          Complete
-                        </button>
-                        <button className="unassign-task-btn" onClick={() => unassignProduct(assign.productId, agent._id)} disabled={isLoading}>
-                          Unassign
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
+        <DataTable
+          id="dashboard"
+          columns={getDashboardColumns(agent)}
+          rows={rows}
+          rowKey={row => row.id}
+          exportName={`${agent.name.replace(/[^\w-]+/g, '-')}-tasks`}
+          exportSummary={{ agentOf: () => agent.name }}
+          rowClassName={row => [
+            row.assignment.pending || pendingProductIds.has(row.id) ? 'row-pending' : slaRowClass(row, now),
+            row.id === focusedProductId ? 'row-focused' : '',
+          ].filter(Boolean).join(' ')}
+          selection={canComplete || canUnassign || canTransfer
+            ? { ...productSelection, isSelectable: row => !row.assignment.pending }
+            : undefined}
+          emptyMessage="No tasks assigned."
+        />
+        {canViewTeam && (
+          <button className="back-button" onClick={goToDirectory}>
+            Back to Directory
+          </button>
         )}
-        <button className="back-button" onClick={() => { setSelectedAgent(null); setView('agents'); }}>
-          Back to Directory
-        </button>
       </div>
     );
-  }, [agents, memoizedAgentAssignments, products, selectedAgent, getAgentWorkloadCount, isLoading, requestTask, unassignAgentTasks, completeAllTasksForAgent, completeTask, unassignProduct]);
+  }, [agents, assignments, memoizedAgentAssignments, productsById, selectedAgent, isMyWork, focusedProductId, autoRequestBelow, autoRequestPaused, setAutoRequestBelow, navigate, currentUser, can, canViewTeam, getAgentWorkloadCount, getAgentCapacityById, updateAgentCapacity, setAgentAvailability, isLoading, now, pendingProductIds, selectedProductIds, productSelection, getDashboardColumns, openRequestTasks, confirmUnassignAgentTasks, confirmCompleteAllTasks, confirmCompleteSelected, confirmUnassignSelected, goToDirectory, renderNotFound, notify]);
 
   const renderCompletedTasks = useCallback(() => {
     return (
       <div className="view-section">
         <h2>Completed Tasks</h2>
-        <button className="download-completed-btn" onClick={downloadCompletedCSV}>
-          Download Completed CSV
-        </button>
-        {Object.keys(groupedCompletedTasks).length === 0 ? (
-          <p>No completed tasks found.</p>
-        ) : (
-          <table className="assignments-table">
-            <thead>
-              <tr>
-                <th className="product-id">Product ID</th>
-                <th>Completed By</th>
-                <th>Task Count</th>
-                <th>Tenant ID</th>
-                <th>Priority</th>
-                <th>Created On</th>
-                <th>Completed Time</th>
-              </tr>
-            </thead>
-            <tbody>
-              {Object.entries(groupedCompletedTasks).map(([prodId, data]) => (
-                <tr key={prodId}>
-                  <td className="product-id">{prodId}</td>
-                  <td>{Array.from(data.agentNames).join(', ')}</td>
-                  <td>{data.count}</td>
-                  <td>{data.tenantId}</td>
-                  <td>{data.priority}</td>
-                  <td>{data.createdOn}</td>
-                  <td>{data.completedTime}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        )}
-        <button className="back-button" onClick={() => setView('agents')}>
+        <DataTable
+          id="completed"
+          columns={completedColumns}
+          rows={completedRows}
+          rowKey={row => row.id}
+          exportName="completed-tasks"
+          exportSummary={{ agentOf: row => row.completedBy }}
+          emptyMessage="No completed tasks found."
+        />
+        <button className="back-button" onClick={goToDirectory}>
           Back to Directory
         </button>
       </div>
     );
-  }, [groupedCompletedTasks, downloadCompletedCSV]);
+  }, [completedColumns, completedRows, goToDirectory]);
 
   const renderAvailableProducts = useCallback(() => {
     return (
       <div className="view-section">
         <h2>Available Products</h2>
-        {unassignedProducts.length === 0 ? (
-          <p>No available products found.</p>
-        ) : (
-          <table className="assignments-table">
-            <thead>
-              <tr>
-                <th className="product-id">Abstract ID</th>
-                <th>Count</th>
-                <th>Tenant ID</th>
-                <th>Priority</th>
-                <th>Created On</th>
-              </tr>
-            </thead>
-            <tbody>
-              {unassignedProducts.map((p) => (
-                <tr key={p.id}>
-                  <td className="product-id">{p.id}</td>
-                  <td>{p.count || 1}</td>
-                  <td>{p.tenantId || 'N/A'}</td>
-                  <td>{p.priority || 'N/A'}</td>
-                  <td>{p.createdOn || 'N/A'}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        )}
-        <button className="back-button" onClick={() => setView('agents')}>
+        {renderAssignToolbar()}
+        <DataTable
+          id="available"
+          columns={availableColumns}
+          rows={unassignedProducts}
+          rowKey={p => p.id}
+          exportName="available-products"
+          exportSummary={{ agentOf: () => 'Unassigned' }}
+          rowClassName={p => slaRowClass(p, now)}
+          selection={productSelection}
+          emptyMessage="No available products found."
+        />
+        <button className="back-button" onClick={goToDirectory}>
           Back to Directory
         </button>
       </div>
     );
-  }, [unassignedProducts]);
+  }, [unassignedProducts, availableColumns, now, productSelection, renderAssignToolbar, goToDirectory]);
 
   const renderPreviouslyAssigned = useCallback(() => (
     <div className="view-section">
       <h2>Unassigned Tasks</h2>
-      <button className="download-completed-btn" onClick={downloadUnassignedCSV}>
-        Download Unassigned CSV
-      </button>
-      {previouslyAssigned.length === 0 ? (
-        <p>No unassigned tasks found.</p>
-      ) : (
-        <table className="assignments-table">
-          <thead>
-            <tr>
-              <th className="product-id">Abstract ID</th>
-              <th>Count</th>
-              <th>Tenant ID</th>
-              <th>Priority</th>
-              <th>Created On</th>
-              <th>Unassigned Time</th>
-              <th>Unassigned By</th>
-            </tr>
-          </thead>
-          <tbody>
-            {previouslyAssigned.map((p) => (
-              <tr key={p.id}>
-                <td className="product-id">{p.id}</td>
-                <td>{p.count || 1}</td>
-                <td>{p.tenantId || 'N/A'}</td>
-                <td>{p.priority || 'N/A'}</td>
-                <td>{p.createdOn || 'N/A'}</td>
-                <td>{p.unassignedTime || 'N/A'}</td>
-                <td>{p.unassignedBy || 'N/A'}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      )}
-      <button className="back-button" onClick={() => setView('agents')}>
+      <DataTable
+        id="unassigned"
+        columns={previouslyAssignedColumns}
+        rows={previouslyAssigned}
+        rowKey={p => p.id}
+        exportName="unassigned-tasks"
+        exportSummary={{ agentOf: row => row.unassignedBy }}
+        emptyMessage="No unassigned tasks found."
+      />
+      <button className="back-button" onClick={goToDirectory}>
         Back to Directory
       </button>
     </div>
-  ), [previouslyAssigned, downloadUnassignedCSV]);
+  ), [previouslyAssigned, previouslyAssignedColumns, goToDirectory]);
+
+  const renderAnalytics = useCallback(() => (
+    <AnalyticsView assignments={assignments} products={products} agents={agents} onBack={goToDirectory} />
+  ), [assignments, products, agents, goToDirectory]);
 
   // Progressive rendering based on loading stages
   const renderProgressiveUI = useCallback(() => {
     if (!loadStages.agentsLoaded && !loadStages.productsLoaded) {
+      if (offlineState) {
+        return <LoadErrorPanel failure={offlineState} onRetry={() => loadDataFromServer()} retrying={loadInFlight} />;
+      }
       // Show minimal UI while loading
       return (
         <div className="loading-content">
@@ -797,49 +2003,175 @@ function App() {
       );
     }
     
-    // Show loaded views as soon as needed data is available
-    if (view === 'completed' && loadStages.assignmentsLoaded) return renderCompletedTasks();
-    if (view === 'available' && loadStages.productsLoaded) return renderAvailableProducts();
-    if (view === 'queue' && loadStages.productsLoaded) return renderQueue();
-    if (view === 'unassigned' && loadStages.assignmentsLoaded) return renderPreviouslyAssigned();
-    if (view === 'agent-dashboard' && selectedAgent && loadStages.assignmentsLoaded) return renderAgentDashboard();
-    if (loadStages.agentsLoaded) return renderAgentDirectory();
-    
-    // Fallback to loading indicator
+    // Agents only have their own dashboard; every other path leads to My Work
+    if (!canViewTeam) {
+      return (
+        <Routes>
+          <Route path="/agents/:agentId" element={<RouteView render={renderAgentDashboard} />} />
+          <Route path="/my-work" element={<RouteView render={renderAgentDashboard} />} />
+          <Route path="*" element={<Navigate to="/my-work" replace />} />
+        </Routes>
+      );
+    }
+
     return (
-      <div className="loading-content">
-        <h2>Loading view data...</h2>
-      </div>
+      <Routes>
+        <Route path="/" element={<Navigate to={preferences.lastView || '/agents'} replace />} />
+        <Route path="/agents" element={<RouteView render={renderAgentDirectory} />} />
+        <Route path="/agents/:agentId" element={<RouteView render={renderAgentDashboard} />} />
+        <Route path="/my-work" element={<RouteView render={renderAgentDashboard} />} />
+        <Route path="/completed" element={<RouteView render={renderCompletedTasks} />} />
+        <Route path="/available" element={<RouteView render={renderAvailableProducts} />} />
+        <Route path="/queue" element={<RouteView render={renderQueue} />} />
+        <Route path="/unassigned" element={<RouteView render={renderPreviouslyAssigned} />} />
+        <Route path="/analytics" element={<RouteView render={renderAnalytics} />} />
+        <Route path="*" element={renderNotFound(`No page found at "${location.pathname}".`)} />
+      </Routes>
     );
   }, [
-    view, 
-    selectedAgent, 
+    location.pathname,
+    preferences.lastView,
+    canViewTeam,
     loadStages,
+    offlineState,
+    loadInFlight,
+    loadDataFromServer,
     renderCompletedTasks, 
     renderAvailableProducts, 
     renderQueue, 
     renderPreviouslyAssigned, 
     renderAgentDashboard, 
-    renderAgentDirectory
+    renderAgentDirectory,
+    renderAnalytics,
+    renderNotFound
   ]);
 
   return (
-    <div className={`app ${darkMode ? 'dark-mode' : 'light-mode'}`}>
-      {renderHeader()}
-      {renderSideMenu()}
-      <main className="app-content">
-        {isLoading && (
-          <div className="loading-overlay">
-            <div className="loading-content">
-              <div className="spinner-large"></div>
-              <p>{loadingMessage}</p>
+    <PreferencesContext.Provider value={preferenceStore}>
+      <div className={`app ${darkMode ? 'dark-mode' : 'light-mode'}`}>
+        {renderHeader()}
+        {renderSideMenu()}
+        <main className="app-content">
+          {renderOfflineBanner()}
+          {isLoading && (
+            <div className="loading-overlay">
+              <div className="loading-content">
+                <div className="spinner-large"></div>
+                <p>{loadingMessage}</p>
+              </div>
             </div>
-          </div>
-        )}
-        {renderProgressiveUI()}
-        {renderConfirmDialog()}
-      </main>
-    </div>
+          )}
+          {renderProgressiveUI()}
+          {renderConfirmDialog()}
+          {assignPickerOpen && (
+            <AgentPicker
+              title={`Assign ${pluralize(selectedProductIds.size, 'product')} (${pluralize(selectedItemCount, 'item')})`}
+              agents={activeAgents}
+              items={selectedItemCount}
+              getWorkload={getAgentWorkloadCount}
+              getCapacity={getAgentCapacityById}
+              onConfirm={assignSelectedProducts}
+              onCancel={() => setAssignPickerOpen(false)}
+            />
+          )}
+          {transferRequest && (
+            <AgentPicker
+              title={`Transfer ${pluralize(transferRequest.productIds.length, 'task')} (${pluralize(countItems(transferRequest.productIds), 'item')}) from ${transferRequest.fromAgent.name}`}
+              agents={activeAgents}
+              items={countItems(transferRequest.productIds)}
+              getWorkload={getAgentWorkloadCount}
+              getCapacity={getAgentCapacityById}
+              excludeAgentId={transferRequest.fromAgent._id}
+              confirmVerb="Transfer"
+              onConfirm={transferTasks}
+              onCancel={() => setTransferRequest(null)}
+            />
+          )}
+          {requestTasksAgentId && (
+            <RequestTaskDialog
+              agent={agents.find(a => a._id === requestTasksAgentId) || { _id: requestTasksAgentId, name: requestTasksAgentId }}
+              workload={getAgentWorkloadCount(requestTasksAgentId)}
+              capacity={getAgentCapacityById(requestTasksAgentId)}
+              products={unassignedProducts}
+              onConfirm={requestPickedTasks}
+              onCancel={() => setRequestTasksAgentId(null)}
+            />
+          )}
+          {agentEditor && (
+            <AgentEditorDialog
+              agent={agentEditor.agent}
+              roles={agentRoles}
+              existingNames={agents.map(a => a.name)}
+              onSave={saveAgent}
+              onCancel={() => setAgentEditor(null)}
+            />
+          )}
+          {deactivatingAgent && (
+            <DeactivateAgentDialog
+              agent={deactivatingAgent}
+              taskCount={(memoizedAgentAssignments[deactivatingAgent._id] || []).length}
+              itemCount={getAgentWorkloadCount(deactivatingAgent._id)}
+              onConfirm={confirmDeactivation}
+              onCancel={() => setDeactivatingAgent(null)}
+            />
+          )}
+          {deactivationTransferFrom && (
+            <AgentPicker
+              title={`Transfer ${pluralize((memoizedAgentAssignments[deactivationTransferFrom._id] || []).length, 'task')} (${pluralize(getAgentWorkloadCount(deactivationTransferFrom._id), 'item')}) from ${deactivationTransferFrom.name} before deactivating`}
+              agents={activeAgents}
+              items={getAgentWorkloadCount(deactivationTransferFrom._id)}
+              getWorkload={getAgentWorkloadCount}
+              getCapacity={getAgentCapacityById}
+              excludeAgentId={deactivationTransferFrom._id}
+              confirmVerb="Transfer"
+              onConfirm={(toAgent) => {
+                setDeactivationTransferFrom(null);
+                deactivateAgent(deactivationTransferFrom, { handling: 'transfer', toAgent });
+              }}
+              onCancel={() => setDeactivationTransferFrom(null)}
+            />
+          )}
+          {rosterPreview && (
+            <RosterImportDialog
+              preview={rosterPreview}
+              onConfirm={importRoster}
+              onCancel={() => setRosterPreview(null)}
+            />
+          )}
+          {paletteOpen && (
+            <CommandPalette
+              commands={paletteCommands}
+              locate={locateProductIds}
+              getAgentName={getAgentName}
+              getProductActions={getProductActions}
+              onClose={() => setPaletteOpen(false)}
+            />
+          )}
+          {batchProgress && (
+            <BatchProgressDialog {...batchProgress} onClose={() => setBatchProgress(null)} />
+          )}
+          {timelineProductId && (
+            <ProductTimelineDialog
+              productId={timelineProductId}
+              timeline={buildProductTimeline({
+                productId: timelineProductId,
+                product: productsById[timelineProductId],
+                assignments,
+                agents,
+              })}
+              onClose={() => setTimelineProductId(null)}
+            />
+          )}
+          {uploadPreview && (
+            <UploadPreviewDialog
+              preview={uploadPreview}
+              onConfirm={confirmUpload}
+              onCancel={() => setUploadPreview(null)}
+            />
+          )}
+        </main>
+      </div>
+    </PreferencesContext.Provider>
   );
 }
 
@@ -1,8 +1,407 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
+import AuthGate from './components/AuthGate';
+import { installMockBackend } from './api/client';
+import { createMockBackend, MockHttpError } from './api/mockBackend';
+import { createSeedData, MOCK_AGENTS } from './api/mockData';
+import { isOpenAssignment } from './utils/records';
+import { createQueuedAction, loadQueue, saveQueue } from './utils/offlineQueue';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Integration tests: the whole app, signed in through the login form, against the in-browser
+// mock backend seeded with mockData.js
+
+let backend;
+
+beforeEach(() => {
+  backend = createMockBackend({ seed: createSeedData() });
+  installMockBackend(backend);
+});
+
+afterEach(() => {
+  installMockBackend(null);
+  window.localStorage.clear();
+});
+
+const renderApp = async (username, path = '/') => {
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <AuthGate>
+        <App />
+      </AuthGate>
+    </MemoryRouter>
+  );
+  fireEvent.change(await screen.findByLabelText('Username'), { target: { value: username } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+};
+
+const activeTasksOf = (agentId) =>
+  backend.getState().assignments.filter(a => a.agentId === agentId && isOpenAssignment(a));
+
+const dashboardRows = () => screen.getAllByRole('row').filter(row => within(row).queryByText('Complete'));
+const rowOf = (productId) => screen.getAllByRole('row').find(row => within(row).queryByText(productId));
+
+test('signs a lead in to the agent directory and filters it', async () => {
+  await renderApp('Alex Morgan');
+
+  expect(await screen.findByText('Agent Directory', { selector: 'h2' })).toBeInTheDocument();
+  expect(screen.getByText(`Total Agents: ${MOCK_AGENTS.length}`)).toBeInTheDocument();
+  expect(screen.getAllByText('View Dashboard')).toHaveLength(MOCK_AGENTS.length);
+
+  fireEvent.change(screen.getByPlaceholderText('Search agents...'), { target: { value: 'priya' } });
+  expect(screen.getAllByText('View Dashboard')).toHaveLength(1);
+  fireEvent.click(screen.getByText('View Dashboard'));
+  expect(await screen.findByText('Priya Shah - Dashboard')).toBeInTheDocument();
+});
+
+test('keeps agents on their own work', async () => {
+  await renderApp('priya shah', '/agents');
+
+  expect(await screen.findByText('Priya Shah - My Work')).toBeInTheDocument();
+  expect(screen.queryByText('Agent Directory')).toBeNull();
+  expect(screen.queryByText('Complete All')).toBeNull();
+});
+
+test('requests, completes and unassigns tasks from a dashboard', async () => {
+  await renderApp('Alex Morgan', '/agents/agent-2');
+  await screen.findByText('Priya Shah - Dashboard');
+  const before = activeTasksOf('agent-2').length;
+  expect(dashboardRows()).toHaveLength(before);
+
+  fireEvent.click(screen.getByText('Request Tasks'));
+  fireEvent.change(screen.getByLabelText('Tasks'), { target: { value: '2' } });
+  fireEvent.click(screen.getByText('Request 2 Tasks'));
+  expect(await screen.findByText('2 of 2 succeeded.')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Close'));
+  await waitFor(() => expect(dashboardRows()).toHaveLength(before + 2));
+  expect(activeTasksOf('agent-2')).toHaveLength(before + 2);
+
+  const [first, second] = activeTasksOf('agent-2').map(a => a.productId);
+  fireEvent.click(within(rowOf(first)).getByText('Complete'));
+  await waitFor(() => expect(screen.queryByText(first)).toBeNull());
+  expect(backend.getState().assignments.find(a => a.productId === first && a.completed)).toBeTruthy();
+
+  fireEvent.click(within(rowOf(second)).getByText('Unassign'));
+  fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'blocked' } });
+  fireEvent.click(screen.getAllByText('Unassign').find(b => b.className === 'confirm-button'));
+  await waitFor(() => expect(screen.queryByText(second)).toBeNull());
+  expect(backend.getState().assignments.find(a => a.productId === second && a.unassignedTime).unassignReason)
+    .toEqual({ category: 'blocked' });
+  expect(backend.getState().products.find(p => p.id === second).assigned).toBe(false);
+});
+
+test('shows a completion at once, merges only what changed since the last sync and undoes rejections', async () => {
+  const [task, other] = activeTasksOf('agent-2');
+  const requests = [];
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  installMockBackend({
+    ...backend,
+    handle: async (request) => {
+      requests.push(request);
+      if (request.path === '/complete') await held;
+      return backend.handle(request);
+    },
+  });
+  await renderApp('Alex Morgan', '/agents/agent-2');
+  await screen.findByText('Priya Shah - Dashboard');
+
+  fireEvent.click(within(rowOf(task.productId)).getByText('Complete'));
+  // Gone from the dashboard while the server has yet to answer
+  await waitFor(() => expect(screen.queryByText(task.productId)).toBeNull());
+  expect(backend.getState().assignments.find(a => a._id === task._id).completed).toBeFalsy();
+
+  requests.length = 0;
+  release();
+  await waitFor(() => expect(requests.some(r => r.path === '/assignments')).toBe(true));
+  expect(requests.find(r => r.path === '/assignments').params.since).toEqual(expect.any(String));
+  expect(requests.some(r => r.path === '/dashboard-data')).toBe(false);
+  // Records the incremental fetch did not return are kept
+  expect(await screen.findByText(other.productId)).toBeInTheDocument();
+  expect(screen.queryByText(task.productId)).toBeNull();
+
+  // A rejected change is undone
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  installMockBackend({
+    ...backend,
+    handle: (request) => (request.path === '/complete'
+      ? Promise.reject(new MockHttpError(409, 'Already completed'))
+      : backend.handle(request)),
+  });
+  fireEvent.click(within(rowOf(other.productId)).getByText('Complete'));
+  expect(await screen.findByText(/The change has been undone/)).toBeInTheDocument();
+  expect(within(rowOf(other.productId)).getByText('Complete')).toBeInTheDocument();
+  console.error.mockRestore();
+});
+
+test('rolls back and reports an action the server rejects', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await renderApp('Alex Morgan', '/agents/agent-2');
+  await screen.findByText('Priya Shah - Dashboard');
+  const [task] = activeTasksOf('agent-2');
+  // Someone else completes it first, so the server no longer considers it assigned
+  await backend.handle({ method: 'POST', path: '/complete', data: { agentId: 'agent-2', productId: task.productId } });
+
+  fireEvent.click(within(rowOf(task.productId)).getByText('Complete'));
+  expect(await screen.findByText(/The change has been undone/)).toBeInTheDocument();
+  expect(screen.getByText(/is not assigned to agent-2/)).toBeInTheDocument();
+  console.error.mockRestore();
+});
+
+test('previews an uploaded file and replaces the queue with it', async () => {
+  await renderApp('Alex Morgan', '/available');
+  await screen.findByText('Available Products', { selector: 'h2' });
+
+  const csv = 'Abstract ID,Count,Tenant ID,Priority,Created On\nNEW-1,2,acme,High,2025-03-01\nNEW-2,1,globex,Low,2025-03-02\n';
+  const file = new File([csv], 'queue.csv', { type: 'text/csv' });
+  fireEvent.change(screen.getByLabelText('Upload CSV / XLSX'), { target: { files: [file] } });
+
+  expect(await screen.findByText('Upload Preview: queue.csv')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Upload 2 rows'));
+
+  expect(await screen.findByText('NEW-1')).toBeInTheDocument();
+  expect(screen.getByText('NEW-2')).toBeInTheDocument();
+  expect(backend.getState().products.filter(p => !p.assigned).map(p => p.id)).toEqual(['NEW-1', 'NEW-2']);
+});
+
+test('assigns selected products to an agent with room and keeps the failures selected', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await backend.handle({ method: 'PATCH', path: '/agents/agent-6', data: { capacity: 1 } });
+  const [taken, first, second] = backend.getState().products.filter(p => !p.assigned).map(p => p.id);
+  installMockBackend({
+    ...backend,
+    handle: (request) => (request.path === '/assign' && request.data.productId === taken
+      ? Promise.reject(new MockHttpError(409, `Product ${taken} is already assigned`))
+      : backend.handle(request)),
+  });
+  await renderApp('Alex Morgan', '/available');
+  await screen.findByText('Available Products', { selector: 'h2' });
+
+  [taken, first, second].forEach(id => fireEvent.click(screen.getByLabelText(`Select ${id}`)));
+  fireEvent.click(screen.getByText('Assign to…'));
+  // Aisha Khan has no room for the extra work
+  expect(screen.getByRole('radio', { name: /Aisha Khan/ })).toBeDisabled();
+  fireEvent.click(screen.getByRole('radio', { name: /Tom Becker/ }));
+  fireEvent.click(screen.getByText('Assign to Tom Becker'));
+
+  expect(await screen.findByText('2 of 3 succeeded, 1 failed.')).toBeInTheDocument();
+  expect(screen.getByText(/is already assigned/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Close'));
+  await waitFor(() => expect(screen.queryByText(first)).toBeNull());
+  expect(screen.queryByText(second)).toBeNull();
+  expect(screen.getByLabelText(`Select ${taken}`)).toBeChecked();
+  expect(screen.getByText('1 product selected', { exact: false })).toBeInTheDocument();
+  expect(activeTasksOf('agent-5').map(a => a.productId)).toEqual(expect.arrayContaining([first, second]));
+  console.error.mockRestore();
+});
+
+test('deactivates an agent and hands their open tasks to someone else', async () => {
+  await backend.handle({ method: 'PATCH', path: '/agents/agent-6', data: { capacity: 1 } });
+  await renderApp('Alex Morgan');
+  await screen.findByText('Agent Directory', { selector: 'h2' });
+  const tasks = activeTasksOf('agent-3').map(a => a.productId);
+  const before = activeTasksOf('agent-5').length;
+  expect(tasks.length).toBeGreaterThan(0);
+
+  fireEvent.click(within(rowOf('Marcus Lee')).getByText('Deactivate'));
+  fireEvent.click(screen.getByLabelText('Transfer them to another agent'));
+  fireEvent.click(screen.getByText('Choose Agent…'));
+  // Aisha Khan has no room for the extra work
+  expect(screen.getByRole('radio', { name: /Aisha Khan/ })).toBeDisabled();
+  fireEvent.click(screen.getByRole('radio', { name: /Tom Becker/ }));
+  fireEvent.click(screen.getByText('Transfer to Tom Becker'));
+  expect(await screen.findByText(`${tasks.length} of ${tasks.length} succeeded.`)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Close'));
+
+  await waitFor(() => expect(screen.queryByText('Marcus Lee')).toBeNull());
+  expect(backend.getState().agents.find(a => a._id === 'agent-3').active).toBe(false);
+  expect(activeTasksOf('agent-3')).toHaveLength(0);
+  expect(activeTasksOf('agent-5')).toHaveLength(before + tasks.length);
+
+  fireEvent.click(screen.getByLabelText('Show inactive'));
+  fireEvent.click(within(rowOf('Marcus Lee')).getByText('Reactivate'));
+  await waitFor(() => expect(within(rowOf('Marcus Lee')).getByText('Deactivate')).toBeInTheDocument());
+});
+
+test('stops offline agents from requesting tasks', async () => {
+  await renderApp('priya shah', '/my-work');
+  await screen.findByText('Priya Shah - My Work');
+  const before = activeTasksOf('agent-2').length;
+
+  fireEvent.change(screen.getByLabelText('Status'), { target: { value: 'offline' } });
+  await waitFor(() => expect(backend.getState().agents.find(a => a._id === 'agent-2').status).toBe('offline'));
+  fireEvent.click(screen.getByText('Request Tasks'));
+  expect(await screen.findByText(/Priya Shah is offline/)).toBeInTheDocument();
+  expect(screen.queryByLabelText('Tasks')).toBeNull();
+  expect(activeTasksOf('agent-2')).toHaveLength(before);
+});
+
+test('transfers a task and keeps the original assignment in its history', async () => {
+  await renderApp('Alex Morgan', '/agents/agent-2');
+  await screen.findByText('Priya Shah - Dashboard');
+  const task = { ...activeTasksOf('agent-2')[0] };
+
+  fireEvent.click(within(rowOf(task.productId)).getByText('Transfer'));
+  fireEvent.click(screen.getByLabelText(/Tom Becker/));
+  fireEvent.click(screen.getByText('Transfer to Tom Becker'));
+  await waitFor(() => expect(screen.queryByText(task.productId)).toBeNull());
+
+  const history = backend.getState().assignments.filter(a => a.productId === task.productId);
+  expect(history).toEqual(expect.arrayContaining([
+    expect.objectContaining({ _id: task._id, agentId: 'agent-2', assignedOn: task.assignedOn, transferredTo: 'agent-5' }),
+    expect.objectContaining({ agentId: 'agent-5', transferredFrom: 'agent-2' }),
+  ]));
+  expect(activeTasksOf('agent-5').map(a => a.productId)).toContain(task.productId);
+});
+
+test('keeps an agent active when some of their tasks could not be transferred', async () => {
+  await renderApp('Alex Morgan');
+  await screen.findByText('Agent Directory', { selector: 'h2' });
+  const [gone, ...rest] = activeTasksOf('agent-3').map(a => a.productId);
+
+  fireEvent.click(within(rowOf('Marcus Lee')).getByText('Deactivate'));
+  fireEvent.click(screen.getByLabelText('Transfer them to another agent'));
+  fireEvent.click(screen.getByText('Choose Agent…'));
+  fireEvent.click(screen.getByRole('radio', { name: /Tom Becker/ }));
+  // Marcus finishes one task elsewhere before the transfer reaches the server
+  await backend.handle({ method: 'POST', path: '/complete', data: { agentId: 'agent-3', productId: gone } });
+  fireEvent.click(screen.getByText('Transfer to Tom Becker'));
+
+  expect(await screen.findByText(/Marcus Lee is still active: 1 task could not be transferred/)).toBeInTheDocument();
+  expect(backend.getState().agents.find(a => a._id === 'agent-3').active).not.toBe(false);
+  expect(activeTasksOf('agent-5').map(a => a.productId)).toEqual(expect.arrayContaining(rest));
+});
+
+test('does not offer work to a deactivated agent', async () => {
+  await backend.handle({ method: 'PATCH', path: '/agents/agent-2', data: { active: false } });
+  await renderApp('Alex Morgan', '/agents/agent-2');
+
+  expect(await screen.findByText('Priya Shah - Dashboard')).toBeInTheDocument();
+  expect(screen.queryByText('Request Tasks')).toBeNull();
+});
+
+// Answers like a server that is still starting up until `serverUp()` is called; sign-in still works
+const installColdStartingBackend = () => {
+  let up = false;
+  installMockBackend({
+    ...backend,
+    handle: (request) => (up || request.path.startsWith('/auth')
+      ? backend.handle(request)
+      : Promise.reject(new MockHttpError(503, 'Service Unavailable'))),
+  });
+  return () => { up = true; };
+};
+
+test('explains a failed first load and retries it with backoff', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  installColdStartingBackend();
+  await renderApp('Alex Morgan');
+
+  const panel = await screen.findByRole('alert', {}, { timeout: 5000 });
+  expect(within(panel).getByText(/probably waking up after being idle/)).toBeInTheDocument();
+  expect(within(panel).getByText('Service Unavailable (attempt 1)')).toBeInTheDocument();
+  expect(within(panel).getByText('Retrying in 5s.')).toBeInTheDocument();
+  expect(screen.getByText('Could not load data: Service Unavailable')).toBeInTheDocument();
+
+  fireEvent.click(within(panel).getByText('Retry Now'));
+  expect(await screen.findByText('Service Unavailable (attempt 2)', {}, { timeout: 5000 })).toBeInTheDocument();
+  // The countdown ticks once a second, so it may not have caught up with the new retry time yet
+  expect(screen.getByText(/^Retrying in 1[01]s\.$/)).toBeInTheDocument();
+  // Only the first failure is reported; the panel keeps the count after that
+  expect(screen.getAllByText('Could not load data: Service Unavailable')).toHaveLength(1);
+  fireEvent.click(screen.getByRole('button', { name: /Errors/ }));
+  expect(screen.getAllByText(/Could not load data: Service Unavailable/)).toHaveLength(2);
+  console.error.mockRestore();
+}, 15000);
+
+test('sends actions queued during an outage once the server answers again', async () => {
+  const [task] = activeTasksOf('agent-2');
+  saveQueue('agent-2', [createQueuedAction({ type: 'complete', agentId: 'agent-2', productId: task.productId })]);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const serverUp = installColdStartingBackend();
+  await renderApp('priya shah', '/my-work');
+  expect(await screen.findByText('Could not load application data', {}, { timeout: 5000 })).toBeInTheDocument();
+
+  serverUp();
+  fireEvent.click(screen.getByText('Retry Now'));
+
+  expect(await screen.findByText('Sending 1 action queued while offline')).toBeInTheDocument();
+  await waitFor(() => expect(loadQueue('agent-2')).toEqual([]));
+  expect(backend.getState().assignments.find(a => a._id === task._id).completed).toBe(true);
+  fireEvent.click(screen.getByText('Close'));
+  expect(await screen.findByText('Priya Shah - My Work')).toBeInTheDocument();
+  expect(screen.queryByText(task.productId)).toBeNull();
+  console.error.mockRestore();
+}, 10000);
+
+test('keeps queued actions applied to freshly loaded data until they are sent', async () => {
+  const [task] = activeTasksOf('agent-2');
+  saveQueue('agent-2', [createQueuedAction({ type: 'complete', agentId: 'agent-2', productId: task.productId })]);
+  // Completions hang until released, so the queue is still waiting when the dashboard loads
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  installMockBackend({
+    ...backend,
+    handle: async (request) => {
+      if (request.path === '/complete') await held;
+      return backend.handle(request);
+    },
+  });
+  await renderApp('priya shah', '/my-work');
+
+  expect(await screen.findByText('Priya Shah - My Work')).toBeInTheDocument();
+  expect(loadQueue('agent-2')).toHaveLength(1);
+  expect(screen.queryByText(task.productId)).toBeNull();
+  release();
+  await waitFor(() => expect(loadQueue('agent-2')).toEqual([]));
+});
+
+test('keeps queued actions and the snapshot with the user who signed out', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const [task] = activeTasksOf('agent-2');
+  saveQueue('agent-2', [createQueuedAction({ type: 'complete', agentId: 'agent-2', productId: task.productId })]);
+  const serverUp = installColdStartingBackend();
+  await renderApp('priya shah', '/my-work');
+  expect(await screen.findByText('Could not load application data', {}, { timeout: 5000 })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Sign Out'));
+  serverUp();
+  fireEvent.change(await screen.findByLabelText('Username'), { target: { value: 'Alex Morgan' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+  expect(await screen.findByText('Alex Morgan - My Work')).toBeInTheDocument();
+  expect(screen.queryByText(/queued while offline/)).toBeNull();
+  expect(backend.getState().assignments.find(a => a._id === task._id).completed).toBeFalsy();
+  expect(loadQueue('agent-2')).toHaveLength(1);
+  expect(loadQueue('agent-1')).toEqual([]);
+  console.error.mockRestore();
+}, 10000);
+
+test('queues selected completions the server cannot receive and keeps rejected ones selected', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await backend.handle({ method: 'POST', path: '/assign', data: { agentId: 'agent-2' } });
+  const [rejected, first, second] = activeTasksOf('agent-2').map(a => a.productId);
+  installMockBackend({
+    ...backend,
+    handle: (request) => {
+      if (request.path !== '/complete') return backend.handle(request);
+      return Promise.reject(request.data.productId === rejected
+        ? new MockHttpError(409, `Product ${rejected} is not assigned to agent-2`)
+        : new MockHttpError(503, 'Service Unavailable'));
+    },
+  });
+  await renderApp('Alex Morgan', '/agents/agent-2');
+  await screen.findByText('Priya Shah - Dashboard');
+
+  [rejected, first, second].forEach(id => fireEvent.click(screen.getByLabelText(`Select ${id}`)));
+  fireEvent.click(screen.getByText('Complete Selected'));
+  fireEvent.click(screen.getAllByText('Complete Selected').find(b => b.className === 'confirm-button'));
+
+  expect(await screen.findByText('0 of 3 succeeded, 2 queued until the server is back, 1 failed.')).toBeInTheDocument();
+  expect(loadQueue('agent-1').map(a => a.productId)).toEqual([first, second]);
+  fireEvent.click(screen.getByText('Close'));
+  expect(screen.queryByText(first)).toBeNull();
+  expect(screen.queryByText(second)).toBeNull();
+  expect(screen.getByLabelText(`Select ${rejected}`)).toBeChecked();
+  console.error.mockRestore();
 });
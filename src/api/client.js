@@ -0,0 +1,292 @@
+import axios from 'axios';
+import { createMockBackend, createMockAdapter } from './mockBackend';
+
+/**
+ * @typedef {Object} Product
+ * @property {string} id
+ * @property {string} [name]
+ * @property {number|string} [count]
+ * @property {string} [tenantId]
+ * @property {string} [priority]
+ * @property {string} [createdOn]
+ * @property {boolean} [assigned]
+ *
+ * @typedef {Object} Agent
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} role
+ * @property {number|null} [capacity] Workload limit in items; null falls back to the role default
+ * @property {boolean} [active] False once the agent has been deactivated
+ * @property {'available'|'break'|'offline'} [status] Availability the agent set; defaults to available
+ * @property {{ start: string, end: string, timeZone: string }|null} [shift] Shift window as "HH:MM"
+ *   wall-clock times in an IANA time zone (e.g. "Europe/London"); none means always on
+ *
+ * @typedef {Object} Assignment
+ * @property {string} _id
+ * @property {string} agentId
+ * @property {string} productId
+ * @property {string} [assignedOn]
+ * @property {boolean} [completed]
+ * @property {string} [completedOn]
+ * @property {string} [unassignedTime]
+ * @property {import('../utils/unassignReasons').UnassignReason} [unassignReason]
+ * @property {string} [transferredFrom] Agent the task was transferred from
+ * @property {string} [transferredTo] Agent the task was transferred to; ends this assignment
+ * @property {string} [transferredTime] When it was transferred away
+ *
+ * @typedef {Object} Session
+ * @property {string} token Bearer token sent with every API request
+ * @property {Agent} user The signed-in agent
+ *
+ * @typedef {Object} DashboardData
+ * @property {Product[]} products
+ * @property {Agent[]} agents
+ * @property {Assignment[]} assignments
+ * @property {number} totalAgents
+ * @property {number} totalProducts
+ * @property {number} totalAssignments
+ *
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] Aborts the request, e.g. when the user leaves the view
+ * @property {number} [retries] Extra attempts for idempotent GETs
+ *
+ * @typedef {RequestOptions & { since?: string }} ChangesOptions
+ * `since` (ISO timestamp) asks for records changed after that time. Servers that ignore it return
+ * everything, which callers merge the same way.
+ */
+
+const DEFAULT_BASE_URL = 'https://product-assignment-server.onrender.com/api';
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+
+// Normalized error thrown by every client function
+export class ApiError extends Error {
+  constructor(message, { status = null, code = 'UNKNOWN', cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.cause = cause;
+  }
+
+  get isCancelled() {
+    return this.code === 'CANCELLED';
+  }
+
+  // The server could not be reached or is still starting up, as opposed to rejecting the request
+  get isUnreachable() {
+    return ['NETWORK', 'TIMEOUT'].includes(this.code) || [502, 503, 504].includes(this.status);
+  }
+}
+
+const config = {
+  baseURL: process.env.REACT_APP_API_BASE_URL || DEFAULT_BASE_URL,
+  timeout: DEFAULT_TIMEOUT,
+};
+
+const http = axios.create();
+
+// Set while requests are answered by the in-browser mock backend instead of the server
+let mockAdapter = null;
+
+/**
+ * Routes every request to an in-browser mock backend (see mockBackend.js), or back to the real
+ * server when called with null. REACT_APP_API_MODE=mock does this at startup.
+ * @param {ReturnType<typeof createMockBackend>|null} backend
+ */
+export const installMockBackend = (backend) => {
+  mockAdapter = backend ? createMockAdapter(backend, url => url.slice(config.baseURL.length)) : null;
+};
+
+export const isMockBackend = () => mockAdapter !== null;
+
+if (process.env.REACT_APP_API_MODE === 'mock') {
+  installMockBackend(createMockBackend({ latency: 250 }));
+}
+
+// Bearer token for the signed-in user, and who to tell when the server rejects it
+let authToken = null;
+let unauthorizedHandler = null;
+
+/** Sets (or clears, with null) the bearer token sent on every request. */
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+export const getAuthToken = () => authToken;
+
+/** Registers a callback for 401 responses, e.g. to send the user back to sign-in. */
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * Overrides the base URL and/or timeout, e.g. to point tests at a local mock server.
+ * @param {{ baseURL?: string, timeout?: number }} options
+ */
+export const configureApiClient = ({ baseURL, timeout } = {}) => {
+  if (baseURL !== undefined) config.baseURL = baseURL.replace(/\/+$/, '');
+  if (timeout !== undefined) config.timeout = timeout;
+};
+
+export const getApiBaseUrl = () => config.baseURL;
+
+// Turns axios failures into ApiErrors carrying the server's `{ error }` message when there is one
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) return error;
+  if (axios.isCancel(error)) {
+    return new ApiError('Request cancelled', { code: 'CANCELLED', cause: error });
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ApiError(`Request timed out after ${config.timeout / 1000}s`, { code: 'TIMEOUT', cause: error });
+  }
+  if (error.response) {
+    const { status, data } = error.response;
+    const serverMessage = typeof data === 'string' ? data : data?.error || data?.message;
+    return new ApiError(serverMessage || `Request failed with status ${status}`, { status, code: 'HTTP', cause: error });
+  }
+  if (error.request) {
+    return new ApiError('Could not reach the server', { code: 'NETWORK', cause: error });
+  }
+  return new ApiError(error.message || 'Unexpected error', { cause: error });
+};
+
+const isRetryable = (error) =>
+  ['NETWORK', 'TIMEOUT'].includes(error.code) || (error.code === 'HTTP' && error.status >= 500);
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new ApiError('Request cancelled', { code: 'CANCELLED' }));
+  }, { once: true });
+});
+
+const request = async (method, path, { data, params, signal, headers } = {}) => {
+  try {
+    const response = await http.request({
+      method,
+      url: `${config.baseURL}${path}`,
+      data,
+      params,
+      headers: authToken ? { Authorization: `Bearer ${authToken}`, ...headers } : headers,
+      signal,
+      timeout: config.timeout,
+      ...(mockAdapter && { adapter: mockAdapter }),
+    });
+    return response.data;
+  } catch (error) {
+    const apiError = normalizeError(error);
+    if (apiError.status === 401 && authToken) unauthorizedHandler?.(apiError);
+    throw apiError;
+  }
+};
+
+// GETs are idempotent, so retry network errors, timeouts and 5xx with exponential backoff
+const get = async (path, { signal, params, retries = DEFAULT_GET_RETRIES } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request('get', path, { signal, params });
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      await wait(RETRY_BASE_DELAY * 2 ** attempt, signal);
+    }
+  }
+};
+
+const post = (path, data, options) => request('post', path, { ...options, data });
+
+/**
+ * Exchanges credentials for a session.
+ * @param {{ username: string, password: string }} credentials
+ * @returns {Promise<Session>}
+ */
+export const login = (credentials, options) => post('/auth/login', credentials, options);
+
+/**
+ * Returns the agent the current token belongs to; fails with a 401 once it has expired.
+ * @returns {Promise<Agent>}
+ */
+export const getCurrentUser = (options) => get('/auth/me', { ...options, retries: 0 });
+
+/**
+ * Trades the session token for a short-lived, single-use ticket to open the change stream with.
+ * EventSource can't send headers, and a ticket in the stream URL is harmless once used, unlike
+ * the bearer token.
+ * @returns {Promise<{ ticket: string }>}
+ */
+export const getStreamTicket = (options) => post('/events/ticket', undefined, options);
+
+/** @returns {Promise<DashboardData>} */
+export const getDashboardData = (options) => get('/dashboard-data', options);
+
+const sinceParams = (since) => (since ? { since } : undefined);
+
+/**
+ * @param {ChangesOptions} [options]
+ * @returns {Promise<Product[]>}
+ */
+export const getProducts = ({ since, ...options } = {}) => get('/products', { ...options, params: sinceParams(since) });
+
+/** @returns {Promise<Agent[]>} */
+export const getAgents = (options) => get('/agents', options);
+
+/**
+ * Adds an agent to the roster and returns it with its new ID.
+ * @param {{ name: string, role: string, capacity?: number|null }} fields
+ * @returns {Promise<Agent>}
+ */
+export const createAgent = (fields, options) => post('/agents', fields, options);
+
+/**
+ * Updates editable agent settings (name, role, capacity, active, status, shift) and returns the saved agent.
+ * @param {string} agentId
+ * @param {Partial<Agent>} changes
+ * @returns {Promise<Agent>}
+ */
+export const updateAgent = (agentId, changes, options) =>
+  request('patch', `/agents/${encodeURIComponent(agentId)}`, { ...options, data: changes });
+
+/**
+ * @param {ChangesOptions} [options]
+ * @returns {Promise<Assignment[]>}
+ */
+export const getAssignments = ({ since, ...options } = {}) => get('/assignments', { ...options, params: sinceParams(since) });
+
+/** @returns {Promise<Product[]>} */
+export const getPreviouslyAssigned = (options) => get('/previously-assigned', options);
+
+/** Asks the server to assign its next available product to the agent. */
+export const assignTask = (agentId, options) => post('/assign', { agentId }, options);
+
+/** Assigns a specific product to the agent, e.g. when a lead hands out work. */
+export const assignProduct = (productId, agentId, options) => post('/assign', { agentId, productId }, options);
+
+/**
+ * Moves an active assignment straight to another agent. The server ends the current assignment
+ * (`transferredTo`, `transferredTime`) and opens a new one for the target with `transferredFrom`,
+ * so the history keeps every hand-off.
+ */
+export const transferProduct = (productId, fromAgentId, toAgentId, options) =>
+  post('/transfer', { productId, fromAgentId, toAgentId }, options);
+
+export const completeTask = (agentId, productId, options) => post('/complete', { agentId, productId }, options);
+
+export const completeAllForAgent = (agentId, options) => post('/complete-all-agent', { agentId }, options);
+
+/** Hands a task back; `reason` is stored with the unassignment for the product's history. */
+export const unassignProduct = (productId, agentId, reason, options) =>
+  post('/unassign-product', { productId, agentId, reason }, options);
+
+export const unassignAgent = (agentId, reason, options) => post('/unassign-agent', { agentId, reason }, options);
+
+/** Replaces the server's queue with the contents of a CSV file. */
+export const uploadOutput = (file, options) => {
+  const formData = new FormData();
+  formData.append('outputFile', file);
+  return post('/upload-output', formData, options);
+};
+
+/** Asks the server to re-sync its queue. */
+export const refreshQueue = (options) => post('/refresh', undefined, options);
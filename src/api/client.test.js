@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import {
+  configureApiClient, getDashboardData, completeTask, getPreviouslyAssigned, setAuthToken, onUnauthorized,
+} from './client';
+
+let server;
+let hits;
+let handler;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    hits.push(`${req.method} ${req.url}`);
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handler(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  configureApiClient({ baseURL: `http://127.0.0.1:${server.address().port}/api`, timeout: 1000 });
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  hits = [];
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+test('retries idempotent GETs after a server error', async () => {
+  handler = (req, res) => {
+    if (hits.length === 1) return sendJson(res, 503, { error: 'waking up' });
+    return sendJson(res, 200, { products: [], agents: [], assignments: [] });
+  };
+  await expect(getDashboardData()).resolves.toEqual({ products: [], agents: [], assignments: [] });
+  expect(hits).toEqual(['GET /api/dashboard-data', 'GET /api/dashboard-data']);
+});
+
+test('does not retry POSTs and surfaces the server error message', async () => {
+  handler = (req, res, body) => sendJson(res, 400, { error: `Product ${JSON.parse(body).productId} is not assigned` });
+  await expect(completeTask('a1', 'p1')).rejects.toMatchObject({
+    name: 'ApiError',
+    code: 'HTTP',
+    status: 400,
+    message: 'Product p1 is not assigned',
+  });
+  expect(hits).toEqual(['POST /api/complete']);
+});
+
+test('cancels requests through an AbortSignal', async () => {
+  handler = (req, res) => setTimeout(() => sendJson(res, 200, []), 200);
+  const controller = new AbortController();
+  const pending = getPreviouslyAssigned({ signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ code: 'CANCELLED', isCancelled: true });
+});
+
+test('sends the bearer token and reports rejected sessions', async () => {
+  const authHeaders = [];
+  handler = (req, res) => {
+    authHeaders.push(req.headers.authorization);
+    return sendJson(res, 401, { error: 'Session expired' });
+  };
+  const handleUnauthorized = jest.fn();
+  onUnauthorized(handleUnauthorized);
+  setAuthToken('abc123');
+  try {
+    await expect(completeTask('a1', 'p1')).rejects.toMatchObject({ status: 401, message: 'Session expired' });
+  } finally {
+    setAuthToken(null);
+    onUnauthorized(null);
+  }
+  expect(authHeaders).toEqual(['Bearer abc123']);
+  expect(handleUnauthorized).toHaveBeenCalledTimes(1);
+});
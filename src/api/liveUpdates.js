@@ -0,0 +1,111 @@
+import { getApiBaseUrl, getAuthToken, getStreamTicket, isMockBackend } from './client';
+
+/**
+ * Server push channel for assignment/product changes, over Server-Sent Events from GET /events.
+ * Signed-in clients authenticate with a fresh ticket from POST /events/ticket on every connect.
+ *
+ * The server sends named events whose data is a JSON record or array of records:
+ *   event: assignments   data: [{ _id, agentId, productId, ... }]
+ *   event: products      data: [{ id, assigned, ... }]
+ *
+ * @typedef {'connecting'|'live'|'reconnecting'|'offline'} ConnectionStatus
+ */
+
+const MAX_RECONNECT_DELAY = 60000;
+const BASE_RECONNECT_DELAY = 1000;
+// After this many failed attempts in a row the status is shown as offline (retries continue)
+const OFFLINE_AFTER_ATTEMPTS = 3;
+
+const parseRecords = (data) => {
+  const parsed = JSON.parse(data);
+  return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+/**
+ * Opens the change stream and keeps it open until the returned function is called.
+ * `onReconnect` fires whenever the stream comes back after being down, so callers can resync
+ * whatever they missed.
+ */
+export const subscribeToChanges = ({
+  onAssignments,
+  onProducts,
+  onStatusChange,
+  onReconnect,
+  EventSourceImpl = typeof window !== 'undefined' ? window.EventSource : undefined,
+  requestTicket = getStreamTicket,
+}) => {
+  if (!EventSourceImpl) {
+    onStatusChange?.('offline');
+    return () => {};
+  }
+  // The mock backend lives in this browser, so there are no other clients' changes to push
+  if (isMockBackend()) {
+    onStatusChange?.('live');
+    return () => {};
+  }
+
+  let source = null;
+  let retryTimer = null;
+  let failedAttempts = 0;
+  let hasConnected = false;
+  let closed = false;
+
+  const handle = (callback) => (event) => {
+    try {
+      callback?.(parseRecords(event.data));
+    } catch (error) {
+      console.error(`Ignoring malformed ${event.type} event:`, error);
+    }
+  };
+
+  const retry = () => {
+    failedAttempts += 1;
+    onStatusChange?.(failedAttempts >= OFFLINE_AFTER_ATTEMPTS ? 'offline' : 'reconnecting');
+    const delay = Math.min(BASE_RECONNECT_DELAY * 2 ** (failedAttempts - 1), MAX_RECONNECT_DELAY);
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  const connect = async () => {
+    // Retries keep the 'reconnecting'/'offline' status that `retry` set until a connection opens
+    if (failedAttempts === 0) onStatusChange?.(hasConnected ? 'reconnecting' : 'connecting');
+    // EventSource cannot send headers, so a single-use ticket travels in the query string instead
+    // of the bearer token, which would otherwise end up in server, proxy and history logs
+    let ticket = null;
+    if (getAuthToken()) {
+      try {
+        ({ ticket } = await requestTicket());
+      } catch (error) {
+        console.error('Could not get a live updates ticket:', error);
+        if (!closed) retry();
+        return;
+      }
+    }
+    if (closed) return;
+    source = new EventSourceImpl(`${getApiBaseUrl()}/events${ticket ? `?ticket=${encodeURIComponent(ticket)}` : ''}`);
+
+    source.addEventListener('open', () => {
+      const wasReconnect = hasConnected || failedAttempts > 0;
+      failedAttempts = 0;
+      hasConnected = true;
+      onStatusChange?.('live');
+      if (wasReconnect) onReconnect?.();
+    });
+    source.addEventListener('assignments', handle(onAssignments));
+    source.addEventListener('products', handle(onProducts));
+
+    // EventSource retries on its own, but gives up for good on some failures (e.g. HTTP errors),
+    // so always take over reconnection with our own backoff
+    source.addEventListener('error', () => {
+      source.close();
+      if (!closed) retry();
+    });
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+};
@@ -0,0 +1,123 @@
+import { subscribeToChanges } from './liveUpdates';
+import { configureApiClient, setAuthToken } from './client';
+
+// Minimal stand-in for the browser EventSource that tests drive by hand
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]?.({ type, data: data === undefined ? undefined : JSON.stringify(data) });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+// Lets pending ticket requests settle while timers are faked
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i += 1) await Promise.resolve();
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeEventSource.instances = [];
+  configureApiClient({ baseURL: 'http://localhost:4000/api' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  setAuthToken(null);
+});
+
+test('streams changes and resyncs after reconnecting', () => {
+  const onAssignments = jest.fn();
+  const onReconnect = jest.fn();
+  const statuses = [];
+  const unsubscribe = subscribeToChanges({
+    onAssignments,
+    onReconnect,
+    onStatusChange: (status) => statuses.push(status),
+    EventSourceImpl: FakeEventSource,
+  });
+
+  const first = FakeEventSource.instances[0];
+  expect(first.url).toBe('http://localhost:4000/api/events');
+  first.emit('open');
+  first.emit('assignments', { _id: 'x1', agentId: 'a1', productId: 'p1' });
+  expect(onAssignments).toHaveBeenCalledWith([{ _id: 'x1', agentId: 'a1', productId: 'p1' }]);
+  expect(onReconnect).not.toHaveBeenCalled();
+
+  first.emit('error');
+  expect(first.closed).toBe(true);
+  jest.advanceTimersByTime(1000);
+  FakeEventSource.instances[1].emit('open');
+
+  expect(onReconnect).toHaveBeenCalledTimes(1);
+  expect(statuses).toEqual(['connecting', 'live', 'reconnecting', 'live']);
+
+  unsubscribe();
+  expect(FakeEventSource.instances[1].closed).toBe(true);
+});
+
+test('opens the stream with a fresh single-use ticket instead of the session token', async () => {
+  setAuthToken('secret-session-token');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const requestTicket = jest.fn()
+    .mockResolvedValueOnce({ ticket: 't-1' })
+    .mockRejectedValueOnce(new Error('Server unavailable'))
+    .mockResolvedValueOnce({ ticket: 't-2' });
+  const statuses = [];
+  const unsubscribe = subscribeToChanges({
+    onStatusChange: (status) => statuses.push(status),
+    EventSourceImpl: FakeEventSource,
+    requestTicket,
+  });
+
+  await flushPromises();
+  expect(FakeEventSource.instances.map(s => s.url)).toEqual(['http://localhost:4000/api/events?ticket=t-1']);
+  FakeEventSource.instances[0].emit('error');
+
+  // The next ticket request fails, which backs off like a dropped stream
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  expect(FakeEventSource.instances).toHaveLength(1);
+  jest.advanceTimersByTime(2000);
+  await flushPromises();
+
+  expect(FakeEventSource.instances[1].url).toBe('http://localhost:4000/api/events?ticket=t-2');
+  expect(FakeEventSource.instances.some(s => s.url.includes('secret'))).toBe(false);
+  expect(statuses).toEqual(['connecting', 'reconnecting', 'reconnecting']);
+  unsubscribe();
+  console.error.mockRestore();
+});
+
+test('stays offline while a stream that never connects keeps retrying', () => {
+  const statuses = [];
+  const unsubscribe = subscribeToChanges({
+    onStatusChange: (status) => statuses.push(status),
+    EventSourceImpl: FakeEventSource,
+  });
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    FakeEventSource.instances[attempt].emit('error');
+    jest.advanceTimersByTime(60000);
+  }
+  expect(FakeEventSource.instances).toHaveLength(6);
+  expect(statuses).toEqual(['connecting', 'reconnecting', 'reconnecting', 'offline', 'offline', 'offline']);
+
+  FakeEventSource.instances[5].emit('open');
+  expect(statuses[statuses.length - 1]).toBe('live');
+  unsubscribe();
+});
@@ -0,0 +1,299 @@
+import { AxiosError, CanceledError } from 'axios';
+import { createSeedData } from './mockData';
+import { parseProductFile } from '../utils/productImport';
+import { isOpenAssignment } from '../utils/records';
+
+/**
+ * In-browser stand-in for the product assignment server, for demos, training and integration
+ * tests. Enable it with REACT_APP_API_MODE=mock; every API request is then answered from memory
+ * (seeded from mockData.js) instead of going over the network. State resets on reload.
+ */
+
+const MOCK_TOKEN_PREFIX = 'mock.';
+const EDITABLE_AGENT_FIELDS = ['name', 'role', 'capacity', 'active', 'status', 'shift'];
+const AGENT_STATUSES = ['available', 'break', 'offline'];
+const REFRESH_BATCH = 3;
+
+// Thrown by route handlers; becomes an HTTP error response with `{ error }` as its body
+export class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const requireFields = (data, ...fields) => {
+  const missing = fields.filter(field => !data?.[field]);
+  if (missing.length) throw new MockHttpError(400, `Missing ${missing.join(', ')}`);
+};
+
+/**
+ * @param {{ seed?: { agents: Object[], products: Object[], assignments: Object[] }, latency?: number }} [options]
+ *   `latency` delays every response by that many milliseconds, to feel like a real server
+ */
+export const createMockBackend = ({ seed = createSeedData(), latency = 0 } = {}) => {
+  const agents = seed.agents.map(a => ({ ...a }));
+  const products = seed.products.map(p => ({ ...p }));
+  const assignments = seed.assignments.map(a => ({ ...a }));
+  // When each product/assignment last changed, for `?since=` queries
+  const changedAt = new Map();
+  let nextId = assignments.length + 1;
+  let nextAgentId = agents.length + 1;
+  let nextProductNumber = 90001;
+
+  const touch = (record) => {
+    changedAt.set(record, Date.now());
+    return record;
+  };
+
+  const findAgent = (agentId) => {
+    const agent = agents.find(a => a._id === agentId);
+    if (!agent) throw new MockHttpError(404, `Agent ${agentId} not found`);
+    return agent;
+  };
+
+  const findProduct = (productId) => {
+    const product = products.find(p => p.id === productId);
+    if (!product) throw new MockHttpError(404, `Product ${productId} not found`);
+    return product;
+  };
+
+  const activeAssignmentsOf = (agentId) =>
+    assignments.filter(a => a.agentId === agentId && isOpenAssignment(a));
+
+  const findActiveAssignment = (agentId, productId) => {
+    const assignment = activeAssignmentsOf(agentId).find(a => a.productId === productId);
+    if (!assignment) throw new MockHttpError(400, `Product ${productId} is not assigned to ${agentId}`);
+    return assignment;
+  };
+
+  const changedSince = (records, since) => {
+    const time = Date.parse(since);
+    return isNaN(time) ? records : records.filter(r => (changedAt.get(r) ?? 0) >= time);
+  };
+
+  const nextQueuedProduct = () => products
+    .filter(p => !p.assigned)
+    .sort((a, b) => Date.parse(a.createdOn) - Date.parse(b.createdOn))[0];
+
+  const assignTo = (agentId, product) => {
+    product.assigned = true;
+    touch(product);
+    const assignment = touch({ _id: `assignment-${nextId++}`, agentId, productId: product.id, assignedOn: new Date().toISOString() });
+    assignments.push(assignment);
+    return assignment;
+  };
+
+  const complete = (assignment) => {
+    assignment.completed = true;
+    assignment.completedOn = new Date().toISOString();
+    touch(assignment);
+  };
+
+  const unassign = (assignment, reason) => {
+    assignment.unassignedTime = new Date().toISOString();
+    assignment.unassignReason = reason || null;
+    touch(assignment);
+    const product = products.find(p => p.id === assignment.productId);
+    if (product) touch(Object.assign(product, { assigned: false }));
+  };
+
+  const agentFromToken = (authorization) => {
+    const token = String(authorization || '').replace(/^Bearer /, '');
+    const agentId = token.startsWith(MOCK_TOKEN_PREFIX) ? token.slice(MOCK_TOKEN_PREFIX.length) : null;
+    const agent = agents.find(a => a._id === agentId);
+    if (!agent) throw new MockHttpError(401, 'Session expired');
+    return agent;
+  };
+
+  // Replaces the queue with the file's products; work already assigned is kept
+  const uploadOutput = async (formData) => {
+    const file = formData?.get?.('outputFile');
+    if (!file) throw new MockHttpError(400, 'No file uploaded');
+    const preview = await parseProductFile(file, products);
+    const uploaded = preview.rows.filter(r => r.errors.length === 0).map(r => r.product);
+    const uploadedIds = new Set(uploaded.map(p => p.id));
+    for (let i = products.length - 1; i >= 0; i--) {
+      if (!products[i].assigned && !uploadedIds.has(products[i].id)) products.splice(i, 1);
+    }
+    uploaded.forEach(fields => {
+      const existing = products.find(p => p.id === fields.id);
+      if (existing) touch(Object.assign(existing, fields));
+      else products.push(touch({ ...fields, assigned: false }));
+    });
+    return { message: `Uploaded ${uploaded.length} products from ${file.name}` };
+  };
+
+  const routes = {
+    'POST /auth/login': ({ data }) => {
+      const wanted = String(data?.username || '').trim().toLowerCase();
+      const user = agents.find(a => a._id.toLowerCase() === wanted || a.name.toLowerCase() === wanted);
+      if (!user) throw new MockHttpError(401, 'Unknown username or password');
+      return { token: `${MOCK_TOKEN_PREFIX}${user._id}`, user };
+    },
+    'GET /auth/me': ({ headers }) => agentFromToken(headers.Authorization),
+    'GET /dashboard-data': () => ({
+      products,
+      agents,
+      assignments,
+      totalAgents: agents.length,
+      totalProducts: products.length,
+      totalAssignments: assignments.length,
+    }),
+    'GET /products': ({ params }) => changedSince(products, params?.since),
+    'GET /agents': () => agents,
+    'POST /agents': ({ data }) => {
+      requireFields(data, 'name', 'role');
+      if (agents.some(a => a.name.toLowerCase() === data.name.trim().toLowerCase())) {
+        throw new MockHttpError(409, `An agent named ${data.name} already exists`);
+      }
+      const agent = { _id: `agent-${nextAgentId++}`, name: data.name.trim(), role: data.role, capacity: data.capacity ?? null, shift: data.shift ?? null, active: true };
+      agents.push(agent);
+      return agent;
+    },
+    'GET /assignments': ({ params }) => changedSince(assignments, params?.since),
+    'GET /previously-assigned': () => products
+      .filter(p => !p.assigned)
+      .map(p => {
+        const last = assignments.filter(a => a.productId === p.id && a.unassignedTime).pop();
+        return last && {
+          ...p,
+          unassignedTime: last.unassignedTime,
+          unassignedBy: agents.find(a => a._id === last.agentId)?.name || last.agentId,
+          unassignReason: last.unassignReason,
+        };
+      })
+      .filter(Boolean),
+    'POST /assign': ({ data }) => {
+      requireFields(data, 'agentId');
+      findAgent(data.agentId);
+      const product = data.productId ? findProduct(data.productId) : nextQueuedProduct();
+      if (!product) throw new MockHttpError(404, 'No products available');
+      if (product.assigned) throw new MockHttpError(409, `Product ${product.id} is already assigned`);
+      return { message: `Assigned ${product.id}`, assignment: assignTo(data.agentId, product) };
+    },
+    'POST /transfer': ({ data }) => {
+      requireFields(data, 'productId', 'fromAgentId', 'toAgentId');
+      findAgent(data.toAgentId);
+      const assignment = findActiveAssignment(data.fromAgentId, data.productId);
+      const now = new Date().toISOString();
+      touch(Object.assign(assignment, { transferredTo: data.toAgentId, transferredTime: now }));
+      assignments.push(touch({
+        _id: `assignment-${nextId++}`,
+        agentId: data.toAgentId,
+        productId: data.productId,
+        assignedOn: now,
+        transferredFrom: data.fromAgentId,
+      }));
+      return { message: `Transferred ${data.productId}` };
+    },
+    'POST /complete': ({ data }) => {
+      requireFields(data, 'agentId', 'productId');
+      complete(findActiveAssignment(data.agentId, data.productId));
+      return { message: `Completed ${data.productId}` };
+    },
+    'POST /complete-all-agent': ({ data }) => {
+      requireFields(data, 'agentId');
+      const active = activeAssignmentsOf(findAgent(data.agentId)._id);
+      active.forEach(complete);
+      return { message: `Completed ${active.length} tasks` };
+    },
+    'POST /unassign-product': ({ data }) => {
+      requireFields(data, 'agentId', 'productId');
+      unassign(findActiveAssignment(data.agentId, data.productId), data.reason);
+      return { message: `Unassigned ${data.productId}` };
+    },
+    'POST /unassign-agent': ({ data }) => {
+      requireFields(data, 'agentId');
+      const active = activeAssignmentsOf(findAgent(data.agentId)._id);
+      active.forEach(a => unassign(a, data.reason));
+      return { message: `Unassigned ${active.length} tasks` };
+    },
+    'POST /upload-output': ({ data }) => uploadOutput(data),
+    // New work arriving upstream: a few fresh products join the queue
+    'POST /refresh': () => {
+      for (let i = 0; i < REFRESH_BATCH; i++) {
+        const number = nextProductNumber++;
+        products.push(touch({
+          id: `ABS-${number}`,
+          name: `Abstract ${number}`,
+          count: 1 + (number % 4),
+          tenantId: 'acme',
+          priority: 'Medium',
+          createdOn: new Date().toISOString(),
+          assigned: false,
+        }));
+      }
+      return { message: `Added ${REFRESH_BATCH} products` };
+    },
+  };
+
+  /**
+   * Answers one request. Resolves with the response body, or rejects with an error carrying the
+   * HTTP status.
+   * @param {{ method: string, path: string, data?: *, params?: Object, headers?: Object }} request
+   */
+  const handle = async ({ method, path, data, params, headers = {} }) => {
+    const agentMatch = path.match(/^\/agents\/([^/]+)$/);
+    if (method === 'PATCH' && agentMatch) {
+      const agent = findAgent(decodeURIComponent(agentMatch[1]));
+      if (data?.status !== undefined && !AGENT_STATUSES.includes(data.status)) {
+        throw new MockHttpError(400, `Unknown status "${data.status}"`);
+      }
+      EDITABLE_AGENT_FIELDS.forEach(field => {
+        if (data && field in data) agent[field] = data[field];
+      });
+      return agent;
+    }
+    const route = routes[`${method} ${path}`];
+    if (!route) throw new MockHttpError(404, `Cannot ${method} ${path}`);
+    return route({ data, params, headers });
+  };
+
+  return {
+    handle,
+    latency,
+    // Read-only view of the current data, e.g. for test assertions
+    getState: () => ({ agents, products, assignments }),
+  };
+};
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener?.('abort', () => {
+    clearTimeout(timer);
+    reject(new CanceledError());
+  }, { once: true });
+});
+
+const readHeader = (headers, name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+
+/**
+ * An axios adapter that sends requests to a mock backend instead of the network.
+ * @param {ReturnType<typeof createMockBackend>} backend
+ * @param {(url: string) => string} toPath Turns the request URL into an API path, e.g. "/products"
+ */
+export const createMockAdapter = (backend, toPath) => async (config) => {
+  await delay(backend.latency, config.signal);
+  const respond = (status, data) => ({ data, status, statusText: String(status), headers: {}, config, request: {} });
+  try {
+    const data = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+    const body = await backend.handle({
+      method: config.method.toUpperCase(),
+      path: toPath(config.url),
+      data,
+      params: config.params,
+      headers: { Authorization: readHeader(config.headers, 'Authorization') },
+    });
+    // Copy the body as a real response would, so the app never holds the backend's own records
+    return respond(200, body === undefined ? undefined : JSON.parse(JSON.stringify(body)));
+  } catch (error) {
+    if (!(error instanceof MockHttpError)) throw error;
+    const response = respond(error.status, { error: error.message });
+    throw new AxiosError(error.message, AxiosError.ERR_BAD_REQUEST, config, {}, response);
+  }
+};
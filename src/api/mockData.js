@@ -0,0 +1,88 @@
+// Seed data for the in-browser mock backend: a small team part-way through a working day, with
+// open, completed and handed-back work spread over the last few days
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const MOCK_AGENTS = [
+  { _id: 'agent-1', name: 'Alex Morgan', role: 'Lead', capacity: 15 },
+  { _id: 'agent-2', name: 'Priya Shah', role: 'Agent', capacity: null },
+  { _id: 'agent-3', name: 'Marcus Lee', role: 'Agent', capacity: null },
+  { _id: 'agent-4', name: 'Sofia Garcia', role: 'Senior', capacity: 40 },
+  { _id: 'agent-5', name: 'Tom Becker', role: 'Agent', capacity: null },
+  { _id: 'agent-6', name: 'Aisha Khan', role: 'Agent', capacity: 20, status: 'break' },
+  { _id: 'agent-7', name: 'Liam Walsh', role: 'Agent', capacity: null, shift: { start: '22:00', end: '06:00', timeZone: 'Europe/Dublin' } },
+  { _id: 'agent-8', name: 'Mei Chen', role: 'Admin', capacity: null },
+];
+
+const TENANTS = ['acme', 'globex', 'initech', 'umbrella', 'hooli'];
+const PRIORITIES = ['High', 'Medium', 'Medium', 'Low', 'Low'];
+const PRODUCT_COUNT = 60;
+
+// Small deterministic PRNG so every demo and test run starts from the same data
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+/**
+ * Builds a fresh copy of the seed data relative to `now`, so product ages and SLA states look the
+ * same whenever the mock is started.
+ * @param {number} [now]
+ * @returns {{ agents: Object[], products: Object[], assignments: Object[] }}
+ */
+export const createSeedData = (now = Date.now()) => {
+  const random = createRandom(42);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const isoAgo = (hours) => new Date(now - hours * HOUR_MS).toISOString();
+
+  const products = Array.from({ length: PRODUCT_COUNT }, (_, index) => {
+    const number = 10001 + index;
+    return {
+      id: `ABS-${number}`,
+      name: `Abstract ${number}`,
+      count: 1 + Math.floor(random() * 6),
+      tenantId: pick(TENANTS),
+      priority: pick(PRIORITIES),
+      // Older than any seeded assignment; some are nearing or past the default 72h SLA
+      createdOn: isoAgo(32 + random() * 60),
+      assigned: false,
+    };
+  });
+
+  const assignments = [];
+  let nextAssignment = 1;
+  const assign = (product, agentId, assignedHoursAgo, fields = {}) => {
+    assignments.push({
+      _id: `assignment-${nextAssignment++}`,
+      agentId,
+      productId: product.id,
+      assignedOn: isoAgo(assignedHoursAgo),
+      ...fields,
+    });
+  };
+
+  const agentIds = MOCK_AGENTS.map(a => a._id);
+  products.forEach((product, index) => {
+    const agentId = agentIds[index % agentIds.length];
+    if (index < 18) {
+      // Finished work, for the completed list and analytics
+      assign(product, agentId, 30 - index, { completed: true, completedOn: isoAgo(28 - index) });
+      product.assigned = true;
+    } else if (index < 24) {
+      // Handed back and now waiting in the queue again
+      assign(product, agentId, 20 - index / 2, {
+        unassignedTime: isoAgo(18 - index / 2),
+        unassignReason: { category: pick(['missing-info', 'blocked', 'shift-end']) },
+      });
+    } else if (index < 40) {
+      // Open work in progress
+      assign(product, agentId, 1 + random() * 6);
+      product.assigned = true;
+    }
+  });
+
+  return { agents: MOCK_AGENTS.map(a => ({ ...a })), products, assignments };
+};
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { hasShift, getLocalTimeZone, isValidTimeZone } from '../utils/availability';
+
+// Offered as suggestions where the browser can list them; any IANA zone can be typed
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+/**
+ * Adds an agent, or edits an existing agent's name, role and shift window. Role suggestions come
+ * from the roles already on the roster.
+ */
+const AgentEditorDialog = ({ agent, roles, existingNames, onSave, onCancel }) => {
+  const [name, setName] = useState(agent?.name || '');
+  const [role, setRole] = useState(agent?.role || '');
+  const [shiftStart, setShiftStart] = useState(hasShift(agent?.shift) ? agent.shift.start : '');
+  const [shiftEnd, setShiftEnd] = useState(hasShift(agent?.shift) ? agent.shift.end : '');
+  const [timeZone, setTimeZone] = useState(agent?.shift?.timeZone || getLocalTimeZone());
+
+  const trimmedName = name.trim();
+  const nameTaken = trimmedName.toLowerCase() !== (agent?.name || '').toLowerCase()
+    && existingNames.some(n => n.toLowerCase() === trimmedName.toLowerCase());
+  // Both ends or neither: no shift means the agent is always on
+  const shift = shiftStart && shiftEnd ? { start: shiftStart, end: shiftEnd, timeZone: timeZone.trim() } : null;
+  const shiftIncomplete = Boolean(shiftStart) !== Boolean(shiftEnd);
+  const timeZoneInvalid = Boolean(shift) && !isValidTimeZone(shift.timeZone);
+  const shiftChanged = JSON.stringify(shift) !== JSON.stringify(hasShift(agent?.shift) ? agent.shift : null);
+  const unchanged = agent && trimmedName === agent.name && role.trim() === agent.role && !shiftChanged;
+  const canSave = trimmedName && role.trim() && !nameTaken && !shiftIncomplete && !timeZoneInvalid && !unchanged;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (canSave) onSave({ name: trimmedName, role: role.trim(), shift });
+  };
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true" aria-labelledby="agent-editor-title">
+      <form className="confirm-dialog agent-editor" onSubmit={handleSubmit} onKeyDown={(e) => e.key === 'Escape' && onCancel()}>
+        <h3 id="agent-editor-title">{agent ? `Edit ${agent.name}` : 'Add Agent'}</h3>
+        <label htmlFor="agent-editor-name">Name</label>
+        <input id="agent-editor-name" value={name} onChange={(e) => setName(e.target.value)} autoFocus autoComplete="off" />
+        {nameTaken && <small className="field-error">Another agent already has this name.</small>}
+        <label htmlFor="agent-editor-role">Role</label>
+        <input id="agent-editor-role" list="agent-editor-roles" value={role} onChange={(e) => setRole(e.target.value)} autoComplete="off" />
+        <datalist id="agent-editor-roles">
+          {roles.map(r => <option key={r} value={r} />)}
+        </datalist>
+        <fieldset className="shift-window">
+          <legend>Shift (optional)</legend>
+          <label htmlFor="agent-editor-shift-start">Starts</label>
+          <input id="agent-editor-shift-start" type="time" value={shiftStart} onChange={(e) => setShiftStart(e.target.value)} />
+          <label htmlFor="agent-editor-shift-end">Ends</label>
+          <input id="agent-editor-shift-end" type="time" value={shiftEnd} onChange={(e) => setShiftEnd(e.target.value)} />
+          <label htmlFor="agent-editor-time-zone">Time zone</label>
+          <input id="agent-editor-time-zone" list="agent-editor-time-zones" value={timeZone} onChange={(e) => setTimeZone(e.target.value)} autoComplete="off" />
+          <datalist id="agent-editor-time-zones">
+            {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+          </datalist>
+        </fieldset>
+        <small className="shift-note">Times are the agent's local working hours in this time zone.</small>
+        {shiftIncomplete && <small className="field-error">Set both the start and end of the shift, or neither.</small>}
+        {timeZoneInvalid && <small className="field-error">Unknown time zone; use a name like Europe/London.</small>}
+        <div className="confirm-buttons">
+          <button type="button" onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+          <button type="submit" className="confirm-button" disabled={!canSave}>
+            {agent ? 'Save' : 'Add Agent'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AgentEditorDialog;
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import WorkloadBar from './WorkloadBar';
+
+/**
+ * Picks the agent to hand a set of products to. Agents the extra `items` would push over
+ * capacity can't be picked.
+ */
+const AgentPicker = ({ title, agents, items, getWorkload, getCapacity, excludeAgentId, confirmVerb = 'Assign', onConfirm, onCancel }) => {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const candidates = agents
+    .filter(agent => agent._id !== excludeAgentId)
+    .filter(agent => agent.name.toLowerCase().includes(search.toLowerCase()));
+  const selected = agents.find(agent => agent._id === selectedId);
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true">
+      <div className="confirm-dialog agent-picker">
+        <h3>{title}</h3>
+        <input type="text" placeholder="Search agents..." value={search} onChange={(e) => setSearch(e.target.value)} autoFocus />
+        <ul className="agent-picker-list">
+          {candidates.map(agent => {
+            const workload = getWorkload(agent._id);
+            const capacity = getCapacity(agent._id);
+            const fits = workload + items <= capacity;
+            return (
+              <li key={agent._id}>
+                <label className={fits ? '' : 'over-capacity'}>
+                  <input
+                    type="radio"
+                    name="agent-picker"
+                    checked={selectedId === agent._id}
+                    onChange={() => setSelectedId(agent._id)}
+                    disabled={!fits}
+                  />
+                  <span className="agent-picker-name">{agent.name} <small>{agent.role}</small></span>
+                  <WorkloadBar workload={workload} capacity={capacity} />
+                  {!fits && <small>Would exceed capacity ({workload} + {items} &gt; {capacity})</small>}
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+        <div className="confirm-buttons">
+          <button onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+          <button onClick={() => onConfirm(selected)} className="confirm-button" disabled={!selected}>
+            {selected ? `${confirmVerb} to ${selected.name}` : confirmVerb}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgentPicker;
@@ -0,0 +1,161 @@
+import React, { useMemo } from 'react';
+import useQueryState from '../hooks/useQueryState';
+import BarChart from './BarChart';
+import { buildAnalytics, toDateKey } from '../utils/analytics';
+import { formatDuration } from '../utils/format';
+
+const PRESETS = [7, 30, 90];
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days + 1);
+  return toDateKey(date);
+};
+
+// YYYY-MM-DD as a local date (new Date('YYYY-MM-DD') would be UTC midnight)
+const fromDateKey = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const formatPeriod = (key) => fromDateKey(key).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const BreakdownTable = ({ title, rows }) => (
+  <div className="analytics-breakdown">
+    <h3>{title}</h3>
+    {rows.length === 0 ? (
+      <p>No completions in this range.</p>
+    ) : (
+      <table className="assignments-table">
+        <thead>
+          <tr>
+            <th>{title.replace('By ', '')}</th>
+            <th>Tasks</th>
+            <th>Items</th>
+            <th>Avg. Time to Complete</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <td>{row.key}</td>
+              <td>{row.tasks}</td>
+              <td>{row.items}</td>
+              <td>{formatDuration(row.avgHandleTime)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+// Operations analytics built from completed assignments; range and grouping live in the query string
+const AnalyticsView = ({ assignments, products, agents, onBack }) => {
+  const defaultFrom = daysAgo(30);
+  const defaultTo = toDateKey(new Date());
+  const [fromParam, setFrom] = useQueryState('from', defaultFrom);
+  const [toParam, setTo] = useQueryState('to', defaultTo);
+  const [granularity, setGranularity] = useQueryState('by', 'day');
+  const from = isDateKey(fromParam) ? fromParam : defaultFrom;
+  const to = isDateKey(toParam) ? toParam : defaultTo;
+
+  const analytics = useMemo(() => buildAnalytics({
+    assignments,
+    products,
+    agents,
+    from: fromDateKey(from),
+    to: fromDateKey(to),
+    granularity: granularity === 'week' ? 'week' : 'day',
+  }), [assignments, products, agents, from, to, granularity]);
+
+  const applyPreset = (days) => {
+    setFrom(daysAgo(days));
+    setTo(defaultTo);
+  };
+
+  return (
+    <div className="view-section analytics">
+      <h2>Analytics</h2>
+
+      <div className="analytics-controls">
+        <label>
+          From <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          To <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        {PRESETS.map(days => (
+          <button key={days} onClick={() => applyPreset(days)}>Last {days} days</button>
+        ))}
+        <select value={granularity} onChange={(e) => setGranularity(e.target.value)} aria-label="Group by">
+          <option value="day">Per day</option>
+          <option value="week">Per week</option>
+        </select>
+      </div>
+
+      <div className="system-status-cards">
+        <div className="status-card">
+          <h3>Tasks Completed</h3>
+          <p>{analytics.overall.tasks}</p>
+        </div>
+        <div className="status-card">
+          <h3>Items Completed</h3>
+          <p>{analytics.overall.items}</p>
+        </div>
+        <div className="status-card">
+          <h3>Avg. Time to Complete</h3>
+          <p>{formatDuration(analytics.overall.avgHandleTime)}</p>
+        </div>
+      </div>
+
+      <div className="analytics-charts">
+        <BarChart title="Items completed" data={analytics.trend} valueKey="items" labelKey="period" formatLabel={formatPeriod} />
+        <BarChart title="Tasks completed" data={analytics.trend} valueKey="tasks" labelKey="period" formatLabel={formatPeriod} />
+      </div>
+
+      <h3>Items Completed per Agent</h3>
+      {analytics.byAgent.length === 0 ? (
+        <p>No completions in this range.</p>
+      ) : (
+        <div className="analytics-agent-table">
+          <table className="assignments-table">
+            <thead>
+              <tr>
+                <th>Agent</th>
+                {analytics.periods.map(period => <th key={period}>{formatPeriod(period)}</th>)}
+                <th>Tasks</th>
+                <th>Items</th>
+                <th>Avg. Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.byAgent.map(agent => (
+                <tr key={agent.key}>
+                  <td>{agent.key}</td>
+                  {analytics.periods.map(period => <td key={period}>{agent.periods[period] || ''}</td>)}
+                  <td>{agent.tasks}</td>
+                  <td>{agent.items}</td>
+                  <td>{formatDuration(agent.avgHandleTime)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="analytics-breakdowns">
+        <BreakdownTable title="By Tenant" rows={analytics.byTenant} />
+        <BreakdownTable title="By Priority" rows={analytics.byPriority} />
+      </div>
+
+      <button className="back-button" onClick={onBack}>
+        Back to Directory
+      </button>
+    </div>
+  );
+};
+
+export default AnalyticsView;
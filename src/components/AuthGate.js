@@ -0,0 +1,27 @@
+import React from 'react';
+import LoginForm from './LoginForm';
+import { AuthContext, useAuthSession } from '../hooks/useAuth';
+
+// Renders its children only for a signed-in user, and the sign-in form otherwise
+const AuthGate = ({ children }) => {
+  const session = useAuthSession();
+
+  if (session.status === 'checking') {
+    return (
+      <div className="login-screen">
+        <div className="loading-content">
+          <div className="spinner-large"></div>
+          <p>Restoring your session...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (session.status === 'signedOut') {
+    return <LoginForm error={session.error} onSubmit={session.login} />;
+  }
+
+  return <AuthContext.Provider value={session}>{children}</AuthContext.Provider>;
+};
+
+export default AuthGate;
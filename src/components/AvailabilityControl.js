@@ -0,0 +1,30 @@
+import React from 'react';
+import { AVAILABILITY, AVAILABILITY_LABELS, formatShift, isOnShift } from '../utils/availability';
+
+// Lets agents (or their lead) set whether they're available, on break or offline
+const AvailabilityControl = ({ agent, now, disabled, onChange }) => {
+  const shift = formatShift(agent.shift);
+
+  return (
+    <div className="availability-control">
+      <label htmlFor="agent-availability">Status</label>
+      <select
+        id="agent-availability"
+        value={agent.status || AVAILABILITY.AVAILABLE}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      >
+        {Object.values(AVAILABILITY).map(status => (
+          <option key={status} value={status}>{AVAILABILITY_LABELS[status]}</option>
+        ))}
+      </select>
+      {shift && (
+        <span className="availability-shift">
+          Shift {shift}{isOnShift(agent.shift, now) ? '' : ' (off shift now)'}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityControl;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+const CHART_HEIGHT = 160;
+
+// Minimal SVG bar chart: one bar per data point, scaled to the largest value
+const BarChart = ({ data, valueKey, labelKey, formatLabel = label => label, title }) => {
+  const max = Math.max(1, ...data.map(d => d[valueKey]));
+  const barWidth = 100 / Math.max(1, data.length);
+  // Thin out axis labels so they don't overlap on long ranges
+  const labelEvery = Math.ceil(data.length / 12);
+
+  return (
+    <figure className="bar-chart">
+      {title && <figcaption>{title}</figcaption>}
+      <svg viewBox={`0 0 100 ${CHART_HEIGHT}`} preserveAspectRatio="none" role="img" aria-label={title}>
+        {data.map((d, i) => {
+          const height = (d[valueKey] / max) * (CHART_HEIGHT - 4);
+          return (
+            <rect
+              key={d[labelKey]}
+              x={i * barWidth + barWidth * 0.1}
+              y={CHART_HEIGHT - height}
+              width={barWidth * 0.8}
+              height={height}
+              className="bar-chart-bar"
+            >
+              <title>{`${formatLabel(d[labelKey])}: ${d[valueKey]}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="bar-chart-axis">
+        {data.map((d, i) => (
+          <span key={d[labelKey]} style={{ width: `${barWidth}%` }}>
+            {i % labelEvery === 0 ? formatLabel(d[labelKey]) : ''}
+          </span>
+        ))}
+      </div>
+      <div className="bar-chart-max">max {max}</div>
+    </figure>
+  );
+};
+
+export default BarChart;
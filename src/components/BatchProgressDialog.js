@@ -0,0 +1,44 @@
+import React from 'react';
+
+// Progress of a batch action, then a per-item summary once it has finished
+const BatchProgressDialog = ({ title, total, results, finished, getLabel, onClose }) => {
+  const failures = results.filter(r => !r.ok);
+  // Queued items were accepted locally but wait for the server to be reachable again
+  const queued = results.filter(r => r.queued).length;
+  const sent = results.length - failures.length - queued;
+  const percent = total === 0 ? 100 : Math.round((results.length / total) * 100);
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true">
+      <div className="confirm-dialog batch-dialog">
+        <h3>{title}</h3>
+        <div className="batch-progress">
+          <div className="batch-progress-fill" style={{ width: `${percent}%` }}></div>
+        </div>
+        <p>
+          {finished
+            ? `${sent} of ${total} succeeded${queued ? `, ${queued} queued until the server is back` : ''}${failures.length ? `, ${failures.length} failed` : ''}.`
+            : `${results.length} of ${total} done...`}
+        </p>
+        {finished && failures.length > 0 && (
+          <ul className="batch-failures">
+            {failures.map(r => (
+              <li key={getLabel(r.item)}>
+                <span className="product-id">{getLabel(r.item)}</span>: {r.error.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        {finished && (
+          <div className="confirm-buttons">
+            <button onClick={onClose} className="confirm-button" autoFocus>
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchProgressDialog;
@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+
+// Inline editor for an agent's workload capacity on their dashboard. Role defaults are deploy-time
+// settings (REACT_APP_ROLE_CAPACITIES), so only the agent's own override is edited here.
+const CapacityEditor = ({ capacity, roleCapacity, isCustom, disabled, onSave }) => {
+  const [value, setValue] = useState(String(capacity));
+
+  // Follow the saved value when it changes underneath us (save, live update, other agent)
+  useEffect(() => {
+    setValue(String(capacity));
+  }, [capacity]);
+
+  const parsed = parseInt(value, 10);
+  const isValid = String(parsed) === value.trim() && parsed > 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isValid && parsed !== capacity) onSave(parsed);
+  };
+
+  return (
+    <form className="capacity-editor" onSubmit={handleSubmit}>
+      <label htmlFor="agent-capacity">Capacity</label>
+      <input
+        id="agent-capacity"
+        type="number"
+        min="1"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        disabled={disabled}
+      />
+      <button type="submit" disabled={disabled || !isValid || parsed === capacity}>
+        Save
+      </button>
+      {isCustom ? (
+        <button type="button" onClick={() => onSave(null)} disabled={disabled}>
+          Use role default ({roleCapacity})
+        </button>
+      ) : (
+        <span className="capacity-note" title="Role defaults are set when the app is deployed">Role default</span>
+      )}
+    </form>
+  );
+};
+
+export default CapacityEditor;
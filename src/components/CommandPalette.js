@@ -0,0 +1,122 @@
+import React, { useMemo, useState } from 'react';
+import { parseProductIds } from '../utils/productLookup';
+
+const STATE_LABELS = {
+  queued: 'In queue',
+  assigned: 'Assigned',
+  completed: 'Completed',
+  unassigned: 'Unassigned',
+  unknown: 'Not found',
+};
+
+// Lookups beyond this many IDs are cut off to keep the list responsive
+const MAX_LOOKUP_IDS = 200;
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '');
+
+// The timestamp that matters for a product's current state
+const describeTimes = (location) => {
+  if (location.state === 'completed') return `Completed ${formatTime(location.completedOn)}`;
+  if (location.state === 'unassigned' && location.unassignedTime) return `Unassigned ${formatTime(location.unassignedTime)}`;
+  if (location.assignedOn) return `Assigned ${formatTime(location.assignedOn)}`;
+  return location.product?.createdOn ? `Created ${formatTime(location.product.createdOn)}` : '';
+};
+
+/**
+ * Ctrl+K palette: type to filter navigation commands, or paste one or more product IDs to see
+ * where each one is, with links and quick actions. Enter runs the first command; Escape closes.
+ * @param {{ commands: { id: string, label: string, run: () => void }[],
+ *   locate: (ids: string[]) => import('../utils/productLookup').ProductLocation[],
+ *   getAgentName: (agentId: string) => string,
+ *   getProductActions: (location: import('../utils/productLookup').ProductLocation) => { label: string, run: () => void }[],
+ *   onClose: () => void }} props
+ */
+const CommandPalette = ({ commands, locate, getAgentName, getProductActions, onClose }) => {
+  const [text, setText] = useState('');
+
+  const query = text.trim().toLowerCase();
+  const matchingCommands = commands.filter(c => c.label.toLowerCase().includes(query));
+  const ids = useMemo(() => parseProductIds(text), [text]);
+  const locations = useMemo(() => locate(ids.slice(0, MAX_LOOKUP_IDS)), [locate, ids]);
+  // A single word that matches a command is most likely not a product ID
+  const shownLocations = ids.length === 1 && matchingCommands.length > 0
+    ? locations.filter(l => l.state !== 'unknown')
+    : locations;
+
+  const run = (action) => {
+    onClose();
+    action.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') onClose();
+    if (e.key === 'Enter' && !e.shiftKey && matchingCommands.length > 0) {
+      e.preventDefault();
+      run(matchingCommands[0]);
+    }
+  };
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true" aria-label="Command palette" onClick={onClose}>
+      <div className="confirm-dialog command-palette" onClick={(e) => e.stopPropagation()}>
+        <textarea
+          className="command-palette-input"
+          placeholder="Type a command, or paste product IDs (e.g. P1, P2, P3)"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          rows={2}
+          autoFocus
+        />
+
+        {matchingCommands.length > 0 && (
+          <ul className="command-list">
+            {matchingCommands.map(command => (
+              <li key={command.id}>
+                <button onClick={() => run(command)}>{command.label}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {shownLocations.length > 0 && (
+          <div className="command-palette-results">
+            {ids.length > MAX_LOOKUP_IDS && <p>Showing the first {MAX_LOOKUP_IDS} of {ids.length} IDs.</p>}
+            <table className="assignments-table">
+              <thead>
+                <tr>
+                  <th>Product ID</th>
+                  <th>State</th>
+                  <th>Agent</th>
+                  <th>When</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownLocations.map(location => (
+                  <tr key={location.id} className={`lookup-${location.state}`}>
+                    <td>{location.id}</td>
+                    <td>{STATE_LABELS[location.state]}</td>
+                    <td>{location.agentId ? getAgentName(location.agentId) : ''}</td>
+                    <td>{describeTimes(location)}</td>
+                    <td className="command-palette-actions">
+                      {getProductActions(location).map(action => (
+                        <button key={action.label} onClick={() => run(action)}>{action.label}</button>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {matchingCommands.length === 0 && shownLocations.length === 0 && (
+          <p className="command-palette-empty">No matching commands.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
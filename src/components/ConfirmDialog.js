@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { UNASSIGN_REASONS, isValidUnassignReason } from '../utils/unassignReasons';
+
+/**
+ * Confirmation overlay for destructive actions. Enter confirms and Escape cancels; when
+ * `requireText` is set the user must type it (e.g. the agent's name) before confirming.
+ * With `askReason`, an unassignment reason must be given and is passed to `onConfirm`.
+ */
+const ConfirmDialog = ({ title, message, confirmLabel = 'Confirm', requireText, askReason, onConfirm, onCancel }) => {
+  const [typedText, setTypedText] = useState('');
+  const [reason, setReason] = useState({ category: '', note: '' });
+  const canConfirm = (!requireText || typedText.trim() === requireText) && (!askReason || isValidUnassignReason(reason));
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onCancel();
+      } else if (e.key === 'Enter' && !['BUTTON', 'TEXTAREA'].includes(e.target.tagName) && canConfirm) {
+        // Buttons handle Enter themselves, so a focused Cancel still cancels
+        e.preventDefault();
+        handleConfirm();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const handleConfirm = () => {
+    if (!askReason) {
+      onConfirm();
+      return;
+    }
+    const note = reason.note.trim();
+    onConfirm(note ? { category: reason.category, note } : { category: reason.category });
+  };
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true" aria-labelledby="confirm-dialog-title">
+      <div className="confirm-dialog">
+        <h3 id="confirm-dialog-title">{title}</h3>
+        <p>{message}</p>
+        {requireText && (
+          <div className="confirm-type-to-confirm">
+            <label htmlFor="confirm-dialog-input">
+              Type <strong>{requireText}</strong> to confirm
+            </label>
+            <input
+              id="confirm-dialog-input"
+              type="text"
+              value={typedText}
+              onChange={(e) => setTypedText(e.target.value)}
+              autoFocus
+              autoComplete="off"
+            />
+          </div>
+        )}
+        {askReason && (
+          <div className="confirm-reason">
+            <label htmlFor="confirm-dialog-reason">Reason</label>
+            <select
+              id="confirm-dialog-reason"
+              value={reason.category}
+              onChange={(e) => setReason(prev => ({ ...prev, category: e.target.value }))}
+              autoFocus={!requireText}
+            >
+              <option value="">Choose a reason…</option>
+              {UNASSIGN_REASONS.map(r => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+            <label htmlFor="confirm-dialog-note">
+              Details{reason.category === 'other' ? '' : ' (optional)'}
+            </label>
+            <textarea
+              id="confirm-dialog-note"
+              rows={2}
+              value={reason.note}
+              onChange={(e) => setReason(prev => ({ ...prev, note: e.target.value }))}
+            />
+          </div>
+        )}
+        <div className="confirm-buttons">
+          <button onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+          <button onClick={handleConfirm} className="confirm-button" disabled={!canConfirm} autoFocus={!requireText && !askReason}>
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,44 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ConfirmDialog from './ConfirmDialog';
+
+const renderDialog = (props = {}) => {
+  const onConfirm = jest.fn();
+  const onCancel = jest.fn();
+  render(<ConfirmDialog title="Deactivate" message="Really?" confirmLabel="Deactivate" onConfirm={onConfirm} onCancel={onCancel} {...props} />);
+  return { onConfirm, onCancel };
+};
+
+test('keeps Confirm disabled until the required text is typed', () => {
+  const { onConfirm } = renderDialog({ requireText: 'Priya Shah' });
+  const confirm = screen.getByRole('button', { name: 'Deactivate' });
+  const input = screen.getByLabelText(/to confirm/);
+  expect(confirm).toBeDisabled();
+
+  fireEvent.change(input, { target: { value: 'Priya' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  expect(confirm).toBeDisabled();
+  expect(onConfirm).not.toHaveBeenCalled();
+
+  fireEvent.change(input, { target: { value: ' Priya Shah ' } });
+  expect(confirm).toBeEnabled();
+  fireEvent.keyDown(input, { key: 'Enter' });
+  expect(onConfirm).toHaveBeenCalledTimes(1);
+});
+
+test('cancels on Escape', () => {
+  const { onConfirm, onCancel } = renderDialog();
+  fireEvent.keyDown(screen.getByRole('dialog'), { key: 'Escape' });
+  expect(onCancel).toHaveBeenCalledTimes(1);
+  expect(onConfirm).not.toHaveBeenCalled();
+});
+
+test('passes the chosen reason, with any details, to onConfirm', () => {
+  const { onConfirm } = renderDialog({ askReason: true, confirmLabel: 'Unassign' });
+  const confirm = screen.getByRole('button', { name: 'Unassign' });
+  expect(confirm).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'blocked' } });
+  fireEvent.change(screen.getByLabelText(/Details/), { target: { value: '  waiting on tenant  ' } });
+  fireEvent.click(confirm);
+  expect(onConfirm).toHaveBeenCalledWith({ category: 'blocked', note: 'waiting on tenant' });
+});
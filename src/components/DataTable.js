@@ -0,0 +1,381 @@
+import React, { useState, useMemo, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { exportTable, buildSummaryRows, toSheetCell } from '../utils/exportTable';
+import { useTablePreferences } from '../hooks/usePreferences';
+
+const PAGE_SIZES = [25, 50, 100, 250];
+const DEFAULT_PAGE_SIZE = 50;
+const FILTER_PREFIX = 'f_';
+
+/**
+ * @typedef {Object} Column
+ * @property {string} key
+ * @property {string} label
+ * @property {(row: Object) => *} [value] Raw value used for sorting, filtering and default display
+ * @property {(row: Object) => React.ReactNode} [render] Custom cell content
+ * @property {'text'|'number'|'date'} [type] How values compare when sorting (default text)
+ * @property {'text'|'select'} [filter] Adds a per-column filter; select offers the distinct values
+ * @property {boolean} [sortable] Defaults to true when the column has a value
+ * @property {boolean} [hideable] Defaults to true
+ * @property {boolean} [defaultHidden]
+ * @property {boolean} [exportable] Defaults to true; set false for action columns
+ * @property {(row: Object, format: 'csv'|'xlsx') => *} [exportValue] Cell value for exports when it differs from `value`
+ * @property {string} [className]
+ */
+
+const getValue = (column, row) => (column.value ? column.value(row) : row[column.key]);
+
+const toSortable = (value, type) => {
+  if (value === null || value === undefined || value === '' || value === 'N/A') return null;
+  if (type === 'number') {
+    const n = Number(value);
+    return isNaN(n) ? null : n;
+  }
+  if (type === 'date') {
+    const t = Date.parse(value);
+    return isNaN(t) ? null : t;
+  }
+  return String(value);
+};
+
+const compareValues = (a, b) => {
+  // Blanks always sort last
+  if (a === null) return b === null ? 0 : 1;
+  if (b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+const displayValue = (value) => (value === null || value === undefined || value === '' ? 'N/A' : String(value));
+
+// Sort, filters and page are kept in the query string so a filtered view can be bookmarked or shared.
+// Params are prefixed with the table's id (e.g. `dashboard.sort`) so tables sharing a route keep
+// their own state. Without a sort in the URL the table falls back to the user's saved sort.
+const useTableQueryState = (tableId, savedSort) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const prefix = tableId ? `${tableId}.` : '';
+  const filterPrefix = `${prefix}${FILTER_PREFIX}`;
+
+  const sortParam = searchParams.get(`${prefix}sort`) ?? savedSort ?? '';
+  const sort = sortParam
+    ? { key: sortParam.replace(/^-/, ''), direction: sortParam.startsWith('-') ? 'desc' : 'asc' }
+    : null;
+  const page = Math.max(1, parseInt(searchParams.get(`${prefix}page`), 10) || 1);
+  const size = parseInt(searchParams.get(`${prefix}size`), 10);
+  const pageSize = PAGE_SIZES.includes(size) ? size : DEFAULT_PAGE_SIZE;
+  const filters = {};
+  searchParams.forEach((value, key) => {
+    if (key.startsWith(filterPrefix)) filters[key.slice(filterPrefix.length)] = value;
+  });
+
+  // Applies param changes (named without the table prefix); anything other than paging sends
+  // the user back to page 1
+  const update = useCallback((changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) next.delete(`${prefix}${key}`);
+        else next.set(`${prefix}${key}`, value);
+      });
+      if (!('page' in changes)) next.delete(`${prefix}page`);
+      return next;
+    }, { replace: true });
+  }, [setSearchParams, prefix]);
+
+  return { sort, page, pageSize, filters, update };
+};
+
+/**
+ * Shared list table with column sorting, per-column filters, column show/hide, pagination,
+ * optional row selection and CSV/XLSX export of exactly what is shown. `exportName` enables export;
+ * `exportSummary` ({ agentOf, tenantOf, itemsOf }) adds per-agent/tenant totals to workbooks.
+ * With an `id`, column visibility and sort order are remembered in the user's preferences and
+ * the query params are scoped to the table. `selection` is `{ selectedIds, onToggle, onSetMany,
+ * isSelectable? }`: select-all adds or removes only the rows on the current page, and Shift+click
+ * on a row checkbox selects the range from the last clicked row.
+ */
+const DataTable = ({
+  id,
+  columns,
+  rows,
+  rowKey,
+  rowClassName,
+  emptyMessage = 'No rows found.',
+  selection,
+  exportName,
+  exportSummary,
+  className = 'assignments-table',
+}) => {
+  const [tablePreferences, updateTablePreferences] = useTablePreferences(id);
+  const { sort, page, pageSize, filters, update } = useTableQueryState(id, tablePreferences?.sort);
+  const [localHiddenColumns, setLocalHiddenColumns] = useState(
+    () => columns.filter(c => c.defaultHidden).map(c => c.key)
+  );
+  const [columnMenuOpen, setColumnMenuOpen] = useState(false);
+  // Row checkbox clicked last, the anchor for Shift+click range selection
+  const selectionAnchorRef = useRef(null);
+
+  const hiddenColumns = new Set(tablePreferences?.hiddenColumns ?? localHiddenColumns);
+
+  const visibleColumns = columns.filter(c => !hiddenColumns.has(c.key));
+
+  // Distinct values for select filters
+  const filterOptions = useMemo(() => {
+    const options = {};
+    columns.filter(c => c.filter === 'select').forEach(column => {
+      const values = new Set(rows.map(row => displayValue(getValue(column, row))));
+      options[column.key] = Array.from(values).sort((a, b) => compareValues(a, b));
+    });
+    return options;
+  }, [columns, rows]);
+
+  const filteredRows = useMemo(() => {
+    const active = columns.filter(c => c.filter && filters[c.key]);
+    if (active.length === 0) return rows;
+    return rows.filter(row => active.every(column => {
+      const value = displayValue(getValue(column, row));
+      const wanted = filters[column.key];
+      return column.filter === 'select'
+        ? value === wanted
+        : value.toLowerCase().includes(wanted.toLowerCase());
+    }));
+  }, [columns, rows, filters]);
+
+  const sortedRows = useMemo(() => {
+    const column = sort && columns.find(c => c.key === sort.key);
+    if (!column) return filteredRows;
+    const factor = sort.direction === 'desc' ? -1 : 1;
+    return filteredRows
+      .map(row => ({ row, value: toSortable(getValue(column, row), column.type) }))
+      .sort((a, b) => {
+        // Keep blanks last in both directions
+        if (a.value === null || b.value === null) return compareValues(a.value, b.value);
+        return factor * compareValues(a.value, b.value);
+      })
+      .map(entry => entry.row);
+  }, [columns, filteredRows, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+  const currentPage = Math.min(page, pageCount);
+  const pageRows = sortedRows.slice((currentPage - 1) * pageSize, currentPage * pageSize);
+
+  const isSortable = (column) => column.sortable ?? (Boolean(column.value) || column.key in (rows[0] || {}));
+
+  const toggleSort = (column) => {
+    if (!isSortable(column)) return;
+    let nextSort = '';
+    if (!sort || sort.key !== column.key) nextSort = column.key;
+    else if (sort.direction === 'asc') nextSort = `-${column.key}`;
+    update({ sort: nextSort });
+    updateTablePreferences?.({ sort: nextSort });
+  };
+
+  const toggleColumn = (key) => {
+    const next = new Set(hiddenColumns);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    if (updateTablePreferences) updateTablePreferences({ hiddenColumns: Array.from(next) });
+    else setLocalHiddenColumns(Array.from(next));
+  };
+
+  // Exports every filtered row (all pages) in the current sort, with only the visible columns.
+  // CSV gets display text; .xlsx keeps numbers and dates typed.
+  const handleExport = (format) => {
+    const exportColumns = visibleColumns.filter(c => c.exportable !== false);
+    const cells = sortedRows.map(row => exportColumns.map(column => {
+      if (column.exportValue) return column.exportValue(row, format);
+      const value = getValue(column, row);
+      return format === 'csv' ? displayValue(value) : toSheetCell(value, column.type);
+    }));
+    exportTable({
+      name: exportName,
+      header: exportColumns.map(c => c.label),
+      cells,
+      format,
+      summaryRows: exportSummary ? buildSummaryRows(sortedRows, exportSummary) : null,
+    });
+  };
+
+  const isRowSelectable = (row) => !selection.isSelectable || selection.isSelectable(row);
+  const selectableIds = selection ? sortedRows.filter(isRowSelectable).map(rowKey) : [];
+  // Select-all covers what is on screen, leaving selections on other pages or filters alone
+  const pageSelectableIds = selection ? pageRows.filter(isRowSelectable).map(rowKey) : [];
+  // Ranges follow the filtered, sorted order, so they can span pages
+  const handleRowSelect = (key, event) => {
+    const anchorIndex = selectableIds.indexOf(selectionAnchorRef.current);
+    const index = selectableIds.indexOf(key);
+    if (event.nativeEvent.shiftKey && anchorIndex !== -1 && index !== -1) {
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      selection.onSetMany(selectableIds.slice(from, to + 1), !selection.selectedIds.has(key));
+    } else {
+      selection.onToggle(key);
+    }
+    selectionAnchorRef.current = key;
+  };
+
+  const hasFilters = columns.some(c => c.filter);
+  const activeFilterCount = Object.keys(filters).filter(key => columns.some(c => c.key === key)).length;
+
+  return (
+    <div className="data-table">
+      <div className="data-table-toolbar">
+        <span className="data-table-count">
+          {sortedRows.length === rows.length
+            ? `${rows.length} rows`
+            : `${sortedRows.length} of ${rows.length} rows`}
+        </span>
+        {activeFilterCount > 0 && (
+          <button
+            className="data-table-clear"
+            onClick={() => update(Object.fromEntries(Object.keys(filters).map(key => [`${FILTER_PREFIX}${key}`, ''])))}
+          >
+            Clear filters
+          </button>
+        )}
+        {exportName && (
+          <div className="data-table-export">
+            <button onClick={() => handleExport('csv')} disabled={sortedRows.length === 0}>Export CSV</button>
+            <button onClick={() => handleExport('xlsx')} disabled={sortedRows.length === 0}>Export Excel</button>
+          </div>
+        )}
+        <div className="data-table-columns">
+          <button onClick={() => setColumnMenuOpen(open => !open)} aria-expanded={columnMenuOpen}>
+            Columns
+          </button>
+          {columnMenuOpen && (
+            <div className="data-table-columns-menu">
+              {columns.filter(c => c.hideable !== false).map(column => (
+                <label key={column.key}>
+                  <input
+                    type="checkbox"
+                    checked={!hiddenColumns.has(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p>{emptyMessage}</p>
+      ) : (
+        <table className={className}>
+          <thead>
+            <tr>
+              {selection && (
+                <th className="select-column">
+                  <input
+                    type="checkbox"
+                    aria-label="Select all"
+                    title={`Select the ${pageSelectableIds.length} rows on this page`}
+                    checked={pageSelectableIds.length > 0 && pageSelectableIds.every(key => selection.selectedIds.has(key))}
+                    onChange={(e) => selection.onSetMany(pageSelectableIds, e.target.checked)}
+                    disabled={pageSelectableIds.length === 0}
+                  />
+                </th>
+              )}
+              {visibleColumns.map(column => {
+                const sortable = isSortable(column);
+                const direction = sort && sort.key === column.key ? sort.direction : null;
+                return (
+                  <th
+                    key={column.key}
+                    className={`${column.className || ''} ${sortable ? 'sortable' : ''}`}
+                    onClick={() => toggleSort(column)}
+                    aria-sort={direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : undefined}
+                  >
+                    {column.label}
+                    {direction && <span className="sort-indicator">{direction === 'asc' ? ' ▲' : ' ▼'}</span>}
+                  </th>
+                );
+              })}
+            </tr>
+            {hasFilters && (
+              <tr className="filter-row">
+                {selection && <th className="select-column"></th>}
+                {visibleColumns.map(column => (
+                  <th key={column.key} className={column.className}>
+                    {column.filter === 'text' && (
+                      <input
+                        type="text"
+                        aria-label={`Filter ${column.label}`}
+                        placeholder="Filter…"
+                        value={filters[column.key] || ''}
+                        onChange={(e) => update({ [`${FILTER_PREFIX}${column.key}`]: e.target.value })}
+                      />
+                    )}
+                    {column.filter === 'select' && (
+                      <select
+                        aria-label={`Filter ${column.label}`}
+                        value={filters[column.key] || ''}
+                        onChange={(e) => update({ [`${FILTER_PREFIX}${column.key}`]: e.target.value })}
+                      >
+                        <option value="">All</option>
+                        {filterOptions[column.key].map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {pageRows.map(row => {
+              const key = rowKey(row);
+              const selected = selection && selection.selectedIds.has(key);
+              const extraClass = rowClassName ? rowClassName(row) : '';
+              return (
+                <tr key={key} className={`${extraClass || ''} ${selected ? 'row-selected' : ''}`.trim()}>
+                  {selection && (
+                    <td className="select-column">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${key}`}
+                        checked={Boolean(selected)}
+                        onChange={(e) => handleRowSelect(key, e)}
+                        disabled={selection.isSelectable ? !selection.isSelectable(row) : false}
+                      />
+                    </td>
+                  )}
+                  {visibleColumns.map(column => (
+                    <td key={column.key} className={column.className}>
+                      {column.render ? column.render(row) : displayValue(getValue(column, row))}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={visibleColumns.length + (selection ? 1 : 0)}>No rows match the current filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+
+      {sortedRows.length > PAGE_SIZES[0] && (
+        <div className="data-table-pagination">
+          <button onClick={() => update({ page: currentPage - 1 })} disabled={currentPage <= 1}>
+            Previous
+          </button>
+          <span>Page {currentPage} of {pageCount}</span>
+          <button onClick={() => update({ page: currentPage + 1 })} disabled={currentPage >= pageCount}>
+            Next
+          </button>
+          <select aria-label="Rows per page" value={pageSize} onChange={(e) => update({ size: e.target.value })}>
+            {PAGE_SIZES.map(size => (
+              <option key={size} value={size}>{size} per page</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,91 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import DataTable from './DataTable';
+import { PRODUCT_COLUMNS } from './tableColumns';
+
+const columns = [PRODUCT_COLUMNS.id, PRODUCT_COLUMNS.count, PRODUCT_COLUMNS.priority, PRODUCT_COLUMNS.createdOn];
+const rows = [
+  { id: 'p1', count: 5, priority: 'High', createdOn: '2025-03-02' },
+  { id: 'p2', count: 12, priority: 'Low', createdOn: '2025-03-01' },
+  { id: 'p3', count: 1, priority: 'High', createdOn: '' },
+];
+
+let location;
+const LocationSpy = () => {
+  location = useLocation();
+  return null;
+};
+
+const renderTable = (initialEntry = '/queue', props = {}) => render(
+  <MemoryRouter initialEntries={[initialEntry]}>
+    <DataTable columns={columns} rows={rows} rowKey={r => r.id} {...props} />
+    <LocationSpy />
+  </MemoryRouter>
+);
+
+const idColumn = () => screen.getAllByRole('row').slice(2).map(row => within(row).getAllByRole('cell')[0].textContent);
+
+test('sorts numerically and keeps the sort in the query string', () => {
+  renderTable();
+  fireEvent.click(screen.getByText('Count'));
+  expect(idColumn()).toEqual(['p3', 'p1', 'p2']);
+  expect(location.search).toBe('?sort=count');
+
+  fireEvent.click(screen.getByText('Count'));
+  expect(idColumn()).toEqual(['p2', 'p1', 'p3']);
+  expect(location.search).toBe('?sort=-count');
+});
+
+test('sorts dates with blanks last and restores filters from the URL', () => {
+  renderTable('/queue?sort=createdOn&f_priority=High');
+  expect(idColumn()).toEqual(['p1', 'p3']);
+  expect(screen.getByText('2 of 3 rows')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Clear filters'));
+  expect(idColumn()).toEqual(['p2', 'p1', 'p3']);
+});
+
+test('hides columns from the column menu', () => {
+  renderTable();
+  fireEvent.click(screen.getByText('Columns'));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Priority' }));
+  expect(screen.queryByRole('columnheader', { name: 'Priority' })).toBeNull();
+});
+
+test('selects a range in display order with shift-click', () => {
+  const selection = { selectedIds: new Set(), onToggle: jest.fn(), onSetMany: jest.fn() };
+  renderTable('/queue?sort=-count', { selection });
+  fireEvent.click(screen.getByLabelText('Select p2'));
+  expect(selection.onToggle).toHaveBeenCalledWith('p2');
+
+  fireEvent.click(screen.getByLabelText('Select p3'), { shiftKey: true });
+  expect(selection.onSetMany).toHaveBeenCalledWith(['p2', 'p1', 'p3'], true);
+});
+
+test('keeps the query state of each table with an id apart', () => {
+  render(
+    <MemoryRouter initialEntries={['/agents/a1?completed.sort=-count']}>
+      <DataTable id="dashboard" columns={columns} rows={rows} rowKey={r => r.id} />
+      <DataTable id="completed" columns={columns} rows={rows} rowKey={r => r.id} />
+      <LocationSpy />
+    </MemoryRouter>
+  );
+  const [dashboard, completed] = screen.getAllByRole('table');
+  const ids = (table) => within(table).getAllByRole('row').slice(2).map(row => within(row).getAllByRole('cell')[0].textContent);
+  expect(ids(completed)).toEqual(['p2', 'p1', 'p3']);
+  expect(ids(dashboard)).toEqual(['p1', 'p2', 'p3']);
+
+  fireEvent.change(within(dashboard).getByLabelText('Filter Priority'), { target: { value: 'High' } });
+  expect(ids(dashboard)).toEqual(['p1', 'p3']);
+  expect(ids(completed)).toEqual(['p2', 'p1', 'p3']);
+  expect(new URLSearchParams(location.search).get('dashboard.f_priority')).toBe('High');
+});
+
+test('selects or clears only the rows on the current page', () => {
+  const many = Array.from({ length: 30 }, (_, i) => ({ id: `r${i + 1}`, count: i + 1, priority: 'Low', createdOn: '' }));
+  const selection = { selectedIds: new Set(['r1', 'other']), onToggle: jest.fn(), onSetMany: jest.fn() };
+  renderTable('/queue?size=25&page=2&sort=count', { rows: many, selection });
+
+  fireEvent.click(screen.getByLabelText('Select all'));
+  expect(selection.onSetMany).toHaveBeenCalledWith(['r26', 'r27', 'r28', 'r29', 'r30'], true);
+});
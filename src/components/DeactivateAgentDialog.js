@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+
+/**
+ * Deactivates an agent who has left, first unassigning their open tasks or transferring them to
+ * another active agent. The transfer target is chosen next, in the agent picker.
+ */
+const DeactivateAgentDialog = ({ agent, taskCount, itemCount, onConfirm, onCancel }) => {
+  const [handling, setHandling] = useState(taskCount > 0 ? 'unassign' : 'none');
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true" aria-labelledby="deactivate-agent-title">
+      <div className="confirm-dialog deactivate-agent" onKeyDown={(e) => e.key === 'Escape' && onCancel()}>
+        <h3 id="deactivate-agent-title">Deactivate {agent.name}</h3>
+        <p>
+          {agent.name} will be hidden from the directory and can no longer be assigned work.
+          {taskCount > 0
+            ? ` They have ${taskCount} open ${taskCount === 1 ? 'task' : 'tasks'} (${itemCount} items).`
+            : ' They have no open tasks.'}
+        </p>
+        {taskCount > 0 && (
+          <fieldset className="deactivate-options">
+            <label>
+              <input type="radio" name="deactivate-tasks" checked={handling === 'unassign'} onChange={() => setHandling('unassign')} />
+              Unassign them back to the queue
+            </label>
+            <label>
+              <input type="radio" name="deactivate-tasks" checked={handling === 'transfer'} onChange={() => setHandling('transfer')} />
+              Transfer them to another agent
+            </label>
+          </fieldset>
+        )}
+        <div className="confirm-buttons">
+          <button onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+          <button onClick={() => onConfirm({ handling })} className="confirm-button">
+            {handling === 'transfer' ? 'Choose Agent…' : 'Deactivate'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeactivateAgentDialog;
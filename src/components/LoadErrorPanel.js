@@ -0,0 +1,40 @@
+import React from 'react';
+import useNow from '../hooks/useNow';
+
+// "Retrying in 12s" with a button to try straight away
+export const RetryStatus = ({ retryAt, onRetry, retrying }) => {
+  const now = useNow(1000);
+  const seconds = Math.max(0, Math.ceil((retryAt - now) / 1000));
+
+  return (
+    <span className="retry-status">
+      {retrying ? 'Retrying…' : `Retrying in ${seconds}s.`}
+      <button onClick={onRetry} disabled={retrying}>Retry Now</button>
+    </span>
+  );
+};
+
+/**
+ * Shown in place of the app when the first load failed and there is no saved data to fall back on.
+ * @param {{ failure: { reason: string, coldStart: boolean, attempt: number, retryAt: number },
+ *   onRetry: () => void, retrying: boolean }} props
+ */
+const LoadErrorPanel = ({ failure, onRetry, retrying }) => (
+  <div className="load-error" role="alert">
+    <h2>Could not load application data</h2>
+    {failure.coldStart ? (
+      <p>
+        The server is probably waking up after being idle, which can take up to a minute.
+        It will be retried automatically.
+      </p>
+    ) : (
+      <p>The server could not be reached or returned an error.</p>
+    )}
+    <p className="load-error-reason">
+      {failure.reason} (attempt {failure.attempt})
+    </p>
+    <RetryStatus retryAt={failure.retryAt} onRetry={onRetry} retrying={retrying} />
+  </div>
+);
+
+export default LoadErrorPanel;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+
+// Sign-in screen shown until there is a valid session
+const LoginForm = ({ error, onSubmit }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    await onSubmit({ username: username.trim(), password });
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h2>Sign In</h2>
+        <label htmlFor="login-username">Username</label>
+        <input
+          id="login-username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          disabled={submitting}
+          autoFocus
+        />
+        <label htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={submitting}
+        />
+        {error && <p className="login-error" role="alert">{error}</p>}
+        <button type="submit" disabled={submitting || !username.trim()}>
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
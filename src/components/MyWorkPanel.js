@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+
+export const MY_WORK_SHORTCUTS = [
+  { keys: 'J / ↓', description: 'Next task' },
+  { keys: 'K / ↑', description: 'Previous task' },
+  { keys: 'C', description: 'Complete highlighted task' },
+  { keys: 'U', description: 'Unassign highlighted task' },
+  { keys: 'R', description: 'Request a task' },
+];
+
+// Personal summary shown above an agent's dashboard in My Work mode
+const MyWorkPanel = ({
+  completedToday,
+  workload,
+  capacity,
+  autoRequestBelow,
+  autoRequestPaused,
+  onAutoRequestChange,
+  onResumeAutoRequest,
+}) => {
+  const [threshold, setThreshold] = useState(autoRequestBelow ? String(autoRequestBelow) : '');
+
+  // Follow the saved threshold when it changes elsewhere (reset preferences, another agent)
+  useEffect(() => {
+    setThreshold(autoRequestBelow ? String(autoRequestBelow) : '');
+  }, [autoRequestBelow]);
+
+  const parsed = parseInt(threshold, 10);
+  const isValid = threshold.trim() === '' || (String(parsed) === threshold.trim() && parsed > 0);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isValid) onAutoRequestChange(threshold.trim() === '' ? null : parsed);
+  };
+
+  return (
+    <section className="my-work-panel">
+      <div className="system-status-cards">
+        <div className="status-card">
+          <h3>Completed Today</h3>
+          <p className="my-work-count">{completedToday} items</p>
+        </div>
+        <div className="status-card">
+          <h3>Workload</h3>
+          <p className="my-work-count">{workload}/{capacity}</p>
+        </div>
+      </div>
+
+      <form className="auto-request-form" onSubmit={handleSubmit}>
+        <label htmlFor="auto-request-below">Auto-request when workload drops below</label>
+        <input
+          id="auto-request-below"
+          type="number"
+          min="1"
+          placeholder="Off"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+        />
+        <span>items</span>
+        <button type="submit" disabled={!isValid}>Save</button>
+        {autoRequestBelow && autoRequestPaused && (
+          <span className="auto-request-paused">
+            Paused after a failed request.
+            <button type="button" onClick={onResumeAutoRequest}>Resume</button>
+          </span>
+        )}
+      </form>
+
+      <dl className="shortcut-list">
+        {MY_WORK_SHORTCUTS.map(shortcut => (
+          <div key={shortcut.keys}>
+            <dt><kbd>{shortcut.keys}</kbd></dt>
+            <dd>{shortcut.description}</dd>
+          </div>
+        ))}
+      </dl>
+    </section>
+  );
+};
+
+export default MyWorkPanel;
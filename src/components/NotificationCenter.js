@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// Header button listing recent errors, plus the stack of toasts currently showing
+const NotificationCenter = ({ toasts, history, onDismiss, onClearHistory }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="notification-center">
+      <button
+        className={`notification-toggle ${history.length ? 'has-errors' : ''}`}
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        title="Recent errors"
+      >
+        Errors{history.length > 0 && <span className="notification-count">{history.length}</span>}
+      </button>
+      {open && (
+        <div className="notification-history">
+          <div className="notification-history-header">
+            <strong>Recent errors</strong>
+            {history.length > 0 && <button onClick={onClearHistory}>Clear</button>}
+          </div>
+          {history.length === 0 ? (
+            <p className="notification-empty">No errors so far.</p>
+          ) : (
+            <ul>
+              {history.map(n => (
+                <li key={n.id}>
+                  <span className="notification-time">{formatTime(n.createdAt)}</span> {n.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      <div className="toast-stack" role="status" aria-live="polite">
+        {toasts.map(t => (
+          <div key={t.id} className={`toast ${t.type}`}>
+            <span>{t.message}</span>
+            <button onClick={() => onDismiss(t.id)} aria-label="Dismiss">×</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationCenter;
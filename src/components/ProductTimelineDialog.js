@@ -0,0 +1,73 @@
+import React, { useEffect } from 'react';
+
+const EVENT_LABELS = {
+  created: 'Created',
+  assigned: 'Assigned',
+  reassigned: 'Reassigned',
+  transferred: 'Transferred',
+  unassigned: 'Unassigned',
+  completed: 'Completed',
+};
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : 'Unknown time');
+
+const describe = (event) => {
+  switch (event.type) {
+    case 'assigned':
+    case 'reassigned':
+      return `to ${event.agentName}`;
+    case 'transferred':
+      return `from ${event.fromAgentName} to ${event.agentName}`;
+    case 'unassigned':
+      return `by ${event.agentName}${event.reason ? ` — ${event.reason}` : ''}`;
+    case 'completed':
+      return `by ${event.agentName}`;
+    default:
+      return '';
+  }
+};
+
+// History of one product (see buildProductTimeline); Escape closes
+const ProductTimelineDialog = ({ productId, timeline, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const { events, assignmentCount, agentCount, unassignCount, isBouncing } = timeline;
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true" aria-labelledby="timeline-dialog-title">
+      <div className="confirm-dialog timeline-dialog">
+        <h3 id="timeline-dialog-title">History: {productId}</h3>
+        <p className={isBouncing ? 'timeline-summary bouncing' : 'timeline-summary'}>
+          Assigned {assignmentCount} {assignmentCount === 1 ? 'time' : 'times'} to {agentCount} {agentCount === 1 ? 'agent' : 'agents'},
+          unassigned {unassignCount} {unassignCount === 1 ? 'time' : 'times'}.
+          {isBouncing && ' This product keeps bouncing between agents.'}
+        </p>
+        {events.length === 0 ? (
+          <p>No history recorded for this product.</p>
+        ) : (
+          <ol className="timeline">
+            {events.map((event, index) => (
+              <li key={index} className={`timeline-event ${event.type}`}>
+                <span className="timeline-time">{formatTime(event.time)}</span>
+                <strong>{EVENT_LABELS[event.type]}</strong> {describe(event)}
+              </li>
+            ))}
+          </ol>
+        )}
+        <div className="confirm-buttons">
+          <button onClick={onClose} className="confirm-button" autoFocus>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductTimelineDialog;
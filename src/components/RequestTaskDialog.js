@@ -0,0 +1,118 @@
+import React, { useMemo, useState } from 'react';
+import WorkloadBar from './WorkloadBar';
+import { pickRequestedTasks, productItems } from '../utils/taskRequest';
+
+const distinctValues = (products, key) =>
+  Array.from(new Set(products.map(p => p[key]).filter(Boolean).map(String))).sort();
+
+/**
+ * Lets an agent pull several tasks at once, optionally only for one tenant or priority, with a
+ * preview of exactly which products will be assigned.
+ */
+const RequestTaskDialog = ({ agent, workload, capacity, products, onConfirm, onCancel }) => {
+  const remainingCapacity = Math.max(0, capacity - workload);
+  const [count, setCount] = useState('1');
+  const [tenantId, setTenantId] = useState('');
+  const [priority, setPriority] = useState('');
+
+  const tenants = useMemo(() => distinctValues(products, 'tenantId'), [products]);
+  const priorities = useMemo(() => distinctValues(products, 'priority'), [products]);
+
+  const parsedCount = parseInt(count, 10);
+  const isValidCount = String(parsedCount) === count.trim() && parsedCount > 0 && parsedCount <= remainingCapacity;
+  const { picked, matching, items } = useMemo(
+    () => pickRequestedTasks(products, {
+      count: isValidCount ? parsedCount : 0,
+      tenantId,
+      priority,
+      remainingCapacity,
+    }),
+    [products, parsedCount, isValidCount, tenantId, priority, remainingCapacity],
+  );
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true">
+      <div className="confirm-dialog request-task-dialog">
+        <h3>Request Tasks for {agent.name}</h3>
+        <WorkloadBar workload={workload} capacity={capacity} />
+
+        <div className="request-task-options">
+          <label>
+            Tasks
+            <input
+              type="number"
+              min="1"
+              max={remainingCapacity}
+              value={count}
+              onChange={(e) => setCount(e.target.value)}
+              autoFocus
+            />
+          </label>
+          <label>
+            Tenant
+            <select value={tenantId} onChange={(e) => setTenantId(e.target.value)}>
+              <option value="">Any tenant</option>
+              {tenants.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+          <label>
+            Priority
+            <select value={priority} onChange={(e) => setPriority(e.target.value)}>
+              <option value="">Any priority</option>
+              {priorities.map(p => <option key={p} value={p}>{p}</option>)}
+            </select>
+          </label>
+        </div>
+
+        {!isValidCount && (
+          <p className="request-task-note">
+            Enter a number of tasks between 1 and {remainingCapacity}, the agent's remaining capacity.
+          </p>
+        )}
+        {isValidCount && (
+          <p className="request-task-note">
+            {matching} matching {matching === 1 ? 'product' : 'products'}.
+            {' '}{picked.length} will be assigned ({items} items, workload {workload + items}/{capacity}).
+            {picked.length < parsedCount && ' Not enough matching products fit the remaining capacity.'}
+          </p>
+        )}
+
+        {picked.length > 0 && (
+          <div className="request-task-preview">
+            <table className="assignments-table">
+              <thead>
+                <tr>
+                  <th>Product ID</th>
+                  <th>Tenant ID</th>
+                  <th>Priority</th>
+                  <th>Items</th>
+                </tr>
+              </thead>
+              <tbody>
+                {picked.map(p => (
+                  <tr key={p.id}>
+                    <td>{p.id}</td>
+                    <td>{p.tenantId || 'N/A'}</td>
+                    <td>{p.priority || 'N/A'}</td>
+                    <td>{productItems(p)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="confirm-buttons">
+          <button onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+          <button onClick={() => onConfirm(picked)} className="confirm-button" disabled={picked.length === 0}>
+            {picked.length > 0 ? `Request ${picked.length} ${picked.length === 1 ? 'Task' : 'Tasks'}` : 'Request'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RequestTaskDialog;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { ROSTER_FIELDS } from '../utils/roster';
+
+const ACTION_LABELS = { add: 'Add', update: 'Update', unchanged: 'No change' };
+
+const describeChanges = (row) => {
+  if (row.action !== 'update') return '';
+  return Object.entries(row.changes)
+    .map(([field, value]) => `${field}: ${row.existing[field] ?? 'none'} → ${value}`)
+    .join('; ');
+};
+
+// Preview of a roster file: which agents it adds and what it changes; nothing is saved until confirmed
+const RosterImportDialog = ({ preview, onConfirm, onCancel }) => {
+  const { fileName, headers, mapping, rows, summary } = preview;
+  const toApply = summary.additions + summary.updates;
+
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true">
+      <div className="confirm-dialog upload-preview">
+        <h3>Roster Import: {fileName}</h3>
+
+        <ul className="upload-summary">
+          <li>{summary.totalRows} rows</li>
+          <li className={summary.errorRows > 0 ? 'has-errors' : ''}>{summary.errorRows} rows with errors</li>
+          <li>{summary.additions} new agents</li>
+          <li>{summary.updates} changed agents</li>
+          <li>{summary.unchanged} unchanged</li>
+        </ul>
+
+        <div className="column-mapping">
+          {ROSTER_FIELDS.map(field => (
+            <span key={field.key} className={mapping[field.key] === -1 ? 'unmapped' : 'mapped'}>
+              {field.label}: {mapping[field.key] === -1 ? 'not found' : `"${headers[mapping[field.key]]}"`}
+            </span>
+          ))}
+        </div>
+
+        <div className="upload-preview-table">
+          <table className="assignments-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Action</th>
+                {ROSTER_FIELDS.map(field => <th key={field.key}>{field.label}</th>)}
+                <th>Changes</th>
+                <th>Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.line} className={row.errors.length > 0 ? 'row-error' : ''}>
+                  <td>{row.line}</td>
+                  <td>{row.errors.length > 0 ? 'Skip' : ACTION_LABELS[row.action]}</td>
+                  {ROSTER_FIELDS.map(field => <td key={field.key}>{row.agent[field.key]}</td>)}
+                  <td>{describeChanges(row)}</td>
+                  <td>{row.errors.join('; ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="confirm-buttons">
+          <button onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+          <button onClick={onConfirm} className="confirm-button" disabled={toApply === 0}>
+            {toApply === 0 ? 'Nothing to import' : `Import ${toApply} ${toApply === 1 ? 'agent' : 'agents'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RosterImportDialog;
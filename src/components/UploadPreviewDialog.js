@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { PRODUCT_FIELDS } from '../utils/productImport';
+
+const MAX_PREVIEW_ROWS = 200;
+
+// Preview of a parsed product file; nothing is uploaded until the user confirms
+const UploadPreviewDialog = ({ preview, onConfirm, onCancel }) => {
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const { fileName, headers, mapping, rows, summary } = preview;
+  const idMissing = mapping.id === -1;
+  const visibleRows = (errorsOnly ? rows.filter(r => r.errors.length > 0) : rows).slice(0, MAX_PREVIEW_ROWS);
+
+  return (
+    <div className="confirm-overlay">
+      <div className="confirm-dialog upload-preview">
+        <h3>Upload Preview: {fileName}</h3>
+
+        <ul className="upload-summary">
+          <li>{summary.totalRows} rows</li>
+          <li className={summary.errorRows > 0 ? 'has-errors' : ''}>{summary.errorRows} rows with errors</li>
+          <li>{summary.newProducts} new products</li>
+          <li>{summary.existingProducts} already known</li>
+          <li>{summary.missingFromFile} known products not in this file</li>
+        </ul>
+
+        <div className="column-mapping">
+          {PRODUCT_FIELDS.map(field => (
+            <span key={field.key} className={mapping[field.key] === -1 ? 'unmapped' : 'mapped'}>
+              {field.label}: {mapping[field.key] === -1 ? 'not found' : `"${headers[mapping[field.key]]}"`}
+            </span>
+          ))}
+        </div>
+
+        {idMissing && (
+          <p className="upload-error">No ID column was detected, so this file cannot be uploaded.</p>
+        )}
+
+        <label className="errors-only-toggle">
+          <input type="checkbox" checked={errorsOnly} onChange={(e) => setErrorsOnly(e.target.checked)} />
+          Show only rows with errors
+        </label>
+
+        <div className="upload-preview-table">
+          <table className="assignments-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                {PRODUCT_FIELDS.map(field => <th key={field.key}>{field.label}</th>)}
+                <th>Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map(row => (
+                <tr key={row.line} className={row.errors.length > 0 ? 'row-error' : ''}>
+                  <td>{row.line}</td>
+                  {PRODUCT_FIELDS.map(field => <td key={field.key}>{row.product[field.key]}</td>)}
+                  <td>{row.errors.join('; ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {visibleRows.length === MAX_PREVIEW_ROWS && (
+          <p>Showing the first {MAX_PREVIEW_ROWS} rows.</p>
+        )}
+
+        <div className="confirm-buttons">
+          <button onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+          <button onClick={onConfirm} className="confirm-button" disabled={idMissing || summary.totalRows === 0}>
+            {summary.errorRows > 0 ? `Upload anyway (${summary.totalRows} rows)` : `Upload ${summary.totalRows} rows`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadPreviewDialog;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { getWorkloadLevel } from '../utils/capacity';
+
+// Workload against capacity, as a progress bar
+const WorkloadBar = ({ workload, capacity }) => {
+  const percent = Math.min(100, Math.round((workload / capacity) * 100));
+  const level = getWorkloadLevel(workload, capacity);
+  return (
+    <div className="workload" title={`${workload} of ${capacity} items`}>
+      <div className="workload-bar">
+        <div className={`workload-fill ${level}`} style={{ width: `${percent}%` }}></div>
+      </div>
+      <span className="workload-label">{workload}/{capacity}</span>
+    </div>
+  );
+};
+
+export default WorkloadBar;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { getSlaState } from '../utils/sla';
+import { formatDuration } from '../utils/format';
+import { toDurationCell } from '../utils/exportTable';
+
+// Column definitions shared by the product-based DataTable views. Rows are product-shaped:
+// { id, name, count, tenantId, priority, createdOn, assigned, ... }
+export const PRODUCT_COLUMNS = {
+  id: { key: 'id', label: 'Abstract ID', className: 'product-id', hideable: false },
+  name: { key: 'name', label: 'Name', filter: 'text' },
+  count: { key: 'count', label: 'Count', type: 'number', value: row => parseInt(row.count, 10) || 1 },
+  tenantId: { key: 'tenantId', label: 'Tenant ID', filter: 'text' },
+  priority: { key: 'priority', label: 'Priority', filter: 'select' },
+  createdOn: { key: 'createdOn', label: 'Created On', type: 'date' },
+  assigned: { key: 'assigned', label: 'Assigned', filter: 'select', value: row => (row.assigned ? 'Yes' : 'No') },
+  assignedOn: { key: 'assignedOn', label: 'Assigned On', type: 'date' },
+};
+
+const SLA_LABELS = { ok: 'On track', warning: 'Nearing SLA', breached: 'Breached', unknown: 'N/A' };
+
+// Age since createdOn, colored against the priority's SLA target. Pass the ticking `now` so ages stay current.
+export const makeAgeColumns = (now) => [
+  {
+    key: 'age',
+    label: 'Age',
+    type: 'number',
+    value: row => getSlaState(row, now).ageMs,
+    exportValue: (row, format) => {
+      const { ageMs } = getSlaState(row, now);
+      return format === 'csv' ? formatDuration(ageMs) : toDurationCell(ageMs);
+    },
+    render: row => {
+      const { ageMs, targetMs, status } = getSlaState(row, now);
+      return (
+        <span className={`sla-age ${status}`} title={`SLA target: ${formatDuration(targetMs)}`}>
+          {formatDuration(ageMs)}
+        </span>
+      );
+    },
+  },
+  {
+    key: 'sla',
+    label: 'SLA',
+    filter: 'select',
+    value: row => SLA_LABELS[getSlaState(row, now).status],
+  },
+];
+
+// Makes a product ID column open that product's timeline
+export const withTimelineLink = (column, onOpen) => ({
+  ...column,
+  render: row => (
+    <button type="button" className="link-button" onClick={() => onOpen(row.id)} title="Show history">
+      {column.render ? column.render(row) : row.id}
+    </button>
+  ),
+});
@@ -0,0 +1,78 @@
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { setAuthToken, onUnauthorized, login as signIn, getCurrentUser } from '../api/client';
+
+const TOKEN_KEY = 'productAssignment.token';
+
+// The signed-in user and sign-out, for everything inside AuthGate
+export const AuthContext = createContext(null);
+
+const readStoredToken = () => {
+  try {
+    return window.localStorage.getItem(TOKEN_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeToken = (token) => {
+  try {
+    if (token) window.localStorage.setItem(TOKEN_KEY, token);
+    else window.localStorage.removeItem(TOKEN_KEY);
+  } catch (error) {
+    console.error('Could not store the session:', error);
+  }
+};
+
+/**
+ * Owns the session: restores a stored token on load, signs in and out, and signs out
+ * automatically when the server rejects the token.
+ * @returns {{ status: 'checking'|'signedOut'|'signedIn', user: Object|null, error: string,
+ *   login: (credentials: Object) => Promise<void>, logout: () => void }}
+ */
+export const useAuthSession = () => {
+  const [status, setStatus] = useState(() => (readStoredToken() ? 'checking' : 'signedOut'));
+  const [user, setUser] = useState(null);
+  const [error, setError] = useState('');
+
+  const logout = useCallback((message = '') => {
+    setAuthToken(null);
+    storeToken(null);
+    setUser(null);
+    setError(message);
+    setStatus('signedOut');
+  }, []);
+
+  useEffect(() => {
+    onUnauthorized(() => logout('Your session has expired. Please sign in again.'));
+    return () => onUnauthorized(null);
+  }, [logout]);
+
+  useEffect(() => {
+    const token = readStoredToken();
+    if (!token) return;
+    setAuthToken(token);
+    getCurrentUser()
+      .then(currentUser => {
+        setUser(currentUser);
+        setStatus('signedIn');
+      })
+      .catch(err => logout(err.status === 401 ? '' : `Could not restore your session: ${err.message}`));
+  }, [logout]);
+
+  const login = useCallback(async (credentials) => {
+    setError('');
+    try {
+      const session = await signIn(credentials);
+      setAuthToken(session.token);
+      storeToken(session.token);
+      setUser(session.user);
+      setStatus('signedIn');
+    } catch (err) {
+      setError(err.status === 401 ? 'Unknown username or password.' : `Sign-in failed: ${err.message}`);
+    }
+  }, []);
+
+  return { status, user, error, login, logout };
+};
+
+export const useAuth = () => useContext(AuthContext);
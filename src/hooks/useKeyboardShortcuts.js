@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+
+const isTypingTarget = (target) =>
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+/**
+ * Calls `bindings[event.key]` on keydown while enabled. Keys typed into form fields or pressed
+ * with Ctrl/Meta/Alt are left alone. Bindings are read from a ref so callers can pass a fresh
+ * object each render.
+ * @param {Object<string, (event: KeyboardEvent) => void>} bindings
+ * @param {boolean} [enabled]
+ */
+const useKeyboardShortcuts = (bindings, enabled = true) => {
+  const bindingsRef = useRef(bindings);
+
+  useEffect(() => {
+    bindingsRef.current = bindings;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTypingTarget(event.target)) return;
+      const handler = bindingsRef.current[event.key];
+      if (!handler) return;
+      event.preventDefault();
+      handler(event);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,24 @@
+import { useEffect, useRef, useState } from 'react';
+import { subscribeToChanges } from '../api/liveUpdates';
+
+// Subscribes to server-pushed changes for the lifetime of the component and reports the
+// connection status. Handlers may change identity between renders without reconnecting.
+const useLiveUpdates = ({ onAssignments, onProducts, onReconnect }) => {
+  const [status, setStatus] = useState('connecting');
+  const handlersRef = useRef({ onAssignments, onProducts, onReconnect });
+
+  useEffect(() => {
+    handlersRef.current = { onAssignments, onProducts, onReconnect };
+  }, [onAssignments, onProducts, onReconnect]);
+
+  useEffect(() => subscribeToChanges({
+    onAssignments: (records) => handlersRef.current.onAssignments?.(records),
+    onProducts: (records) => handlersRef.current.onProducts?.(records),
+    onReconnect: () => handlersRef.current.onReconnect?.(),
+    onStatusChange: setStatus,
+  }), []);
+
+  return status;
+};
+
+export default useLiveUpdates;
@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// How long a toast stays up before dismissing itself; errors stay longer so they can be read
+const TOAST_DURATION_MS = { info: 4000, success: 4000, warning: 6000, error: 8000 };
+const MAX_TOASTS = 4;
+const MAX_HISTORY = 20;
+
+let nextId = 1;
+
+/**
+ * @typedef {Object} Notification
+ * @property {number} id
+ * @property {'info'|'success'|'warning'|'error'} type
+ * @property {string} message
+ * @property {number} createdAt
+ */
+
+/**
+ * Non-blocking notifications: toasts that dismiss themselves, plus a history of recent errors
+ * that outlives them.
+ * @returns {{ toasts: Notification[], history: Notification[], notify: Function, dismiss: Function,
+ *   clearHistory: Function }}
+ */
+const useNotifications = () => {
+  const [toasts, setToasts] = useState([]);
+  const [history, setHistory] = useState([]);
+  const timersRef = useRef(new Map());
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id));
+    timersRef.current.delete(id);
+    setToasts(prev => prev.filter(t => t.id !== id));
+  }, []);
+
+  /**
+   * @param {string} message
+   * @param {'info'|'success'|'warning'|'error'} [type]
+   */
+  const notify = useCallback((message, type = 'info') => {
+    const notification = { id: nextId++, type, message, createdAt: Date.now() };
+    setToasts(prev => [...prev, notification].slice(-MAX_TOASTS));
+    if (type === 'error') setHistory(prev => [notification, ...prev].slice(0, MAX_HISTORY));
+    timersRef.current.set(notification.id, setTimeout(() => dismiss(notification.id), TOAST_DURATION_MS[type]));
+  }, [dismiss]);
+
+  const clearHistory = useCallback(() => setHistory([]), []);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => timers.forEach(timer => clearTimeout(timer));
+  }, []);
+
+  return { toasts, history, notify, dismiss, clearHistory };
+};
+
+export default useNotifications;
@@ -0,0 +1,44 @@
+import { renderHook, act } from '@testing-library/react';
+import useNotifications from './useNotifications';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('dismisses toasts on their own but keeps errors in the history', () => {
+  const { result } = renderHook(() => useNotifications());
+
+  act(() => {
+    result.current.notify('Saved.', 'success');
+    result.current.notify('Could not save.', 'error');
+  });
+  expect(result.current.toasts.map(t => t.message)).toEqual(['Saved.', 'Could not save.']);
+  expect(result.current.history.map(n => n.message)).toEqual(['Could not save.']);
+
+  act(() => jest.advanceTimersByTime(4000));
+  expect(result.current.toasts.map(t => t.message)).toEqual(['Could not save.']);
+  act(() => jest.advanceTimersByTime(4000));
+  expect(result.current.toasts).toEqual([]);
+  expect(result.current.history).toHaveLength(1);
+
+  act(() => result.current.clearHistory());
+  expect(result.current.history).toEqual([]);
+});
+
+test('caps the toasts on screen and the error history, newest errors first', () => {
+  const { result } = renderHook(() => useNotifications());
+
+  act(() => {
+    for (let i = 1; i <= 25; i += 1) result.current.notify(`Error ${i}`, 'error');
+  });
+  expect(result.current.toasts.map(t => t.message)).toEqual(['Error 22', 'Error 23', 'Error 24', 'Error 25']);
+  expect(result.current.history).toHaveLength(20);
+  expect(result.current.history[0].message).toBe('Error 25');
+
+  act(() => result.current.dismiss(result.current.toasts[0].id));
+  expect(result.current.toasts).toHaveLength(3);
+});
@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+
+// Current time, refreshed every `intervalMs` so time-based displays (ages, SLAs) stay current
+const useNow = (intervalMs = 60000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
@@ -0,0 +1,60 @@
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { loadPreferences, savePreferences, clearPreferences, DEFAULT_PREFERENCES } from '../utils/preferences';
+
+// Shares the App's preference store with components deeper in the tree (e.g. DataTable)
+export const PreferencesContext = createContext(null);
+
+const prefersDark = () => typeof window !== 'undefined' && window.matchMedia
+  ? window.matchMedia('(prefers-color-scheme: dark)').matches
+  : false;
+
+/**
+ * Loads preferences once, saves every change, and resolves the "system" theme against the OS
+ * setting (following it live).
+ */
+export const usePreferenceStore = () => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const [systemDark, setSystemDark] = useState(prefersDark);
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia('(prefers-color-scheme: dark)');
+    const handleChange = (e) => setSystemDark(e.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => {
+      const next = { ...prev, ...(typeof changes === 'function' ? changes(prev) : changes) };
+      savePreferences(next);
+      return next;
+    });
+  }, []);
+
+  const updateTablePreferences = useCallback((tableId, changes) => {
+    updatePreferences(prev => ({
+      tables: { ...prev.tables, [tableId]: { ...prev.tables[tableId], ...changes } },
+    }));
+  }, [updatePreferences]);
+
+  const resetPreferences = useCallback(() => {
+    clearPreferences();
+    setPreferences(DEFAULT_PREFERENCES);
+  }, []);
+
+  const darkMode = preferences.theme === 'system' ? systemDark : preferences.theme === 'dark';
+
+  return { preferences, darkMode, updatePreferences, updateTablePreferences, resetPreferences };
+};
+
+// A table's saved layout and a setter, or nulls when there is no store or table ID
+export const useTablePreferences = (tableId) => {
+  const store = useContext(PreferencesContext);
+  const update = useCallback((changes) => {
+    store.updateTablePreferences(tableId, changes);
+  }, [store, tableId]);
+
+  if (!store || !tableId) return [null, null];
+  return [store.preferences.tables[tableId] || {}, update];
+};
@@ -0,0 +1,25 @@
+import { useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Reads and writes a single query string parameter, like useState but shareable via the URL.
+// Updates replace the current history entry so typing in a search box doesn't flood back/forward.
+const useQueryState = (key, defaultValue = '') => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const value = searchParams.get(key) ?? defaultValue;
+
+  const setValue = useCallback((nextValue) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (nextValue === '' || nextValue === null || nextValue === undefined || nextValue === defaultValue) {
+        next.delete(key);
+      } else {
+        next.set(key, nextValue);
+      }
+      return next;
+    }, { replace: true });
+  }, [key, defaultValue, setSearchParams]);
+
+  return [value, setValue];
+};
+
+export default useQueryState;
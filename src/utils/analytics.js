@@ -0,0 +1,154 @@
+// Aggregations over completed assignments for the analytics view
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar date as YYYY-MM-DD
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Monday of the date's week, as YYYY-MM-DD
+const toWeekKey = (date) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return toDateKey(monday);
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Every bucket between from and to, so quiet days/weeks still show up as zero
+const listPeriods = (from, to, granularity) => {
+  const periods = [];
+  const cursor = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const seen = new Set();
+  while (cursor <= to) {
+    const key = granularity === 'week' ? toWeekKey(cursor) : toDateKey(cursor);
+    if (!seen.has(key)) {
+      seen.add(key);
+      periods.push(key);
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return periods;
+};
+
+/**
+ * When work on an assignment began: for a transferred task, when the first agent in the chain
+ * picked it up, so handle time doesn't restart at each hand-off.
+ */
+const findTransferSource = (assignment, assignments, visited) => {
+  const receivedAt = parseDate(assignment.assignedOn);
+  return assignments
+    .filter(a => a.productId === assignment.productId && a.agentId === assignment.transferredFrom
+      && a.transferredTo === assignment.agentId && !visited.has(a))
+    .filter(a => !receivedAt || !parseDate(a.transferredTime) || parseDate(a.transferredTime) <= receivedAt)
+    .sort((a, b) => (parseDate(b.transferredTime) || 0) - (parseDate(a.transferredTime) || 0))[0];
+};
+
+const findWorkStart = (assignment, assignments) => {
+  let current = assignment;
+  const visited = new Set([current]);
+  while (current.transferredFrom) {
+    const source = findTransferSource(current, assignments, visited);
+    if (!source) break;
+    visited.add(source);
+    current = source;
+  }
+  return parseDate(current.assignedOn);
+};
+
+const emptyTotals = () => ({ tasks: 0, items: 0, handleTimeTotal: 0, handleTimeCount: 0 });
+
+const addTo = (totals, items, handleTime) => {
+  totals.tasks += 1;
+  totals.items += items;
+  if (handleTime !== null) {
+    totals.handleTimeTotal += handleTime;
+    totals.handleTimeCount += 1;
+  }
+};
+
+const withAverage = ({ handleTimeTotal, handleTimeCount, ...totals }) => ({
+  ...totals,
+  avgHandleTime: handleTimeCount ? handleTimeTotal / handleTimeCount : null,
+});
+
+const groupTotals = (map) => Object.entries(map)
+  .map(([key, totals]) => ({ key, ...withAverage(totals) }))
+  .sort((a, b) => b.items - a.items);
+
+/**
+ * Builds completion statistics for assignments completed between `from` and `to` (inclusive,
+ * local days). Items are the product's `count`; handle time runs from when the task was first
+ * assigned (before any transfers) to completedOn.
+ */
+export const buildAnalytics = ({ assignments, products, agents, from, to, granularity = 'day' }) => {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+  const periods = listPeriods(start, new Date(end.getTime() - DAY_MS), granularity);
+  const productMap = Object.fromEntries(products.map(p => [p.id, p]));
+  const agentNames = Object.fromEntries(agents.map(a => [a._id, a.name]));
+
+  const overall = emptyTotals();
+  const byPeriod = Object.fromEntries(periods.map(p => [p, emptyTotals()]));
+  const byAgent = {};
+  const byTenant = {};
+  const byPriority = {};
+
+  assignments.forEach(assignment => {
+    if (!assignment.completed) return;
+    const completedOn = parseDate(assignment.completedOn);
+    if (!completedOn || completedOn < start || completedOn >= end) return;
+
+    const product = productMap[assignment.productId];
+    const items = product && product.count ? parseInt(product.count, 10) || 1 : 1;
+    const assignedOn = findWorkStart(assignment, assignments);
+    const handleTime = assignedOn && completedOn >= assignedOn ? completedOn - assignedOn : null;
+    const period = granularity === 'week' ? toWeekKey(completedOn) : toDateKey(completedOn);
+    const agentName = agentNames[assignment.agentId] || 'Unknown';
+
+    addTo(overall, items, handleTime);
+    if (byPeriod[period]) addTo(byPeriod[period], items, handleTime);
+
+    if (!byAgent[agentName]) byAgent[agentName] = { totals: emptyTotals(), periods: {} };
+    addTo(byAgent[agentName].totals, items, handleTime);
+    byAgent[agentName].periods[period] = (byAgent[agentName].periods[period] || 0) + items;
+
+    const tenant = product?.tenantId || 'N/A';
+    const priority = product?.priority || 'N/A';
+    byTenant[tenant] = byTenant[tenant] || emptyTotals();
+    byPriority[priority] = byPriority[priority] || emptyTotals();
+    addTo(byTenant[tenant], items, handleTime);
+    addTo(byPriority[priority], items, handleTime);
+  });
+
+  return {
+    periods,
+    overall: withAverage(overall),
+    trend: periods.map(period => ({ period, ...withAverage(byPeriod[period]) })),
+    byAgent: Object.entries(byAgent)
+      .map(([name, { totals, periods: agentPeriods }]) => ({ key: name, ...withAverage(totals), periods: agentPeriods }))
+      .sort((a, b) => b.items - a.items),
+    byTenant: groupTotals(byTenant),
+    byPriority: groupTotals(byPriority),
+  };
+};
+
+/**
+ * Items an agent completed on the local calendar day containing `day` (e.g. today's running
+ * total in My Work).
+ */
+export const countItemsCompletedOn = ({ assignments, productsById, agentId, day }) => {
+  const dayKey = toDateKey(new Date(day));
+  return assignments.reduce((total, assignment) => {
+    if (!assignment.completed || assignment.agentId !== agentId) return total;
+    const completedOn = parseDate(assignment.completedOn);
+    if (!completedOn || toDateKey(completedOn) !== dayKey) return total;
+    const product = productsById[assignment.productId];
+    return total + (product && product.count ? parseInt(product.count, 10) || 1 : 1);
+  }, 0);
+};
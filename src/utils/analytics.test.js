@@ -0,0 +1,73 @@
+import { buildAnalytics, countItemsCompletedOn } from './analytics';
+import { formatDuration } from './format';
+
+const products = [
+  { id: 'p1', count: 3, tenantId: 't1', priority: 'High' },
+  { id: 'p2', count: 1, tenantId: 't2', priority: 'Low' },
+];
+const agents = [{ _id: 'a1', name: 'Jane' }, { _id: 'a2', name: 'Bob' }];
+const assignments = [
+  { agentId: 'a1', productId: 'p1', completed: true, assignedOn: '2025-03-03T09:00:00', completedOn: '2025-03-03T11:00:00' },
+  { agentId: 'a2', productId: 'p2', completed: true, assignedOn: '2025-03-04T09:00:00', completedOn: '2025-03-04T10:00:00' },
+  { agentId: 'a1', productId: 'p2', completed: true, completedOn: '2025-03-20T10:00:00' },
+  { agentId: 'a1', productId: 'p1', completed: false },
+];
+
+test('aggregates completions within the date range', () => {
+  const result = buildAnalytics({
+    assignments,
+    products,
+    agents,
+    from: new Date(2025, 2, 3),
+    to: new Date(2025, 2, 5),
+  });
+
+  expect(result.periods).toEqual(['2025-03-03', '2025-03-04', '2025-03-05']);
+  expect(result.overall).toEqual({ tasks: 2, items: 4, avgHandleTime: 90 * 60000 });
+  expect(result.trend.map(t => t.items)).toEqual([3, 1, 0]);
+  expect(result.byAgent.map(a => [a.key, a.items, a.periods])).toEqual([
+    ['Jane', 3, { '2025-03-03': 3 }],
+    ['Bob', 1, { '2025-03-04': 1 }],
+  ]);
+  expect(result.byTenant.map(t => [t.key, t.tasks])).toEqual([['t1', 1], ['t2', 1]]);
+});
+
+test('buckets by week starting Monday', () => {
+  const result = buildAnalytics({
+    assignments,
+    products,
+    agents,
+    from: new Date(2025, 2, 1),
+    to: new Date(2025, 2, 31),
+    granularity: 'week',
+  });
+  expect(result.periods[0]).toBe('2025-02-24');
+  expect(result.trend.find(t => t.period === '2025-03-03').tasks).toBe(2);
+  expect(result.trend.find(t => t.period === '2025-03-17').tasks).toBe(1);
+});
+
+test('formats durations', () => {
+  expect(formatDuration(null)).toBe('N/A');
+  expect(formatDuration(45 * 60000)).toBe('45m');
+  expect(formatDuration(135 * 60000)).toBe('2h 15m');
+  expect(formatDuration(28 * 3600000)).toBe('1d 4h');
+});
+
+test('counts an agent\'s items completed on a given day', () => {
+  const productsById = Object.fromEntries(products.map(p => [p.id, p]));
+  const count = (agentId, day) => countItemsCompletedOn({ assignments, productsById, agentId, day });
+  expect(count('a1', new Date(2025, 2, 3, 18))).toBe(3);
+  expect(count('a1', new Date(2025, 2, 4))).toBe(0);
+  expect(count('a2', new Date(2025, 2, 4))).toBe(1);
+});
+
+test('measures handle time of a transferred task from its first assignment', () => {
+  const transferred = [
+    { agentId: 'a1', productId: 'p2', assignedOn: '2025-03-03T09:00:00', transferredTo: 'a2', transferredTime: '2025-03-03T10:00:00' },
+    { agentId: 'a2', productId: 'p2', assignedOn: '2025-03-03T10:00:00', transferredFrom: 'a1', completed: true, completedOn: '2025-03-03T12:00:00' },
+  ];
+  const result = buildAnalytics({ assignments: transferred, products, agents, from: new Date(2025, 2, 3), to: new Date(2025, 2, 3) });
+
+  expect(result.overall).toEqual({ tasks: 1, items: 1, avgHandleTime: 3 * 60 * 60000 });
+  expect(result.byAgent.map(a => a.key)).toEqual(['Bob']);
+});
@@ -0,0 +1,93 @@
+import { isActiveAgent } from './roster';
+
+export const AVAILABILITY = {
+  AVAILABLE: 'available',
+  BREAK: 'break',
+  OFFLINE: 'offline',
+};
+
+export const AVAILABILITY_LABELS = {
+  [AVAILABILITY.AVAILABLE]: 'Available',
+  [AVAILABILITY.BREAK]: 'On Break',
+  [AVAILABILITY.OFFLINE]: 'Offline',
+};
+
+const SHIFT_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidShiftTime = (value) => SHIFT_TIME.test(String(value || ''));
+
+const toMinutes = (value) => {
+  const [, hours, minutes] = String(value).match(SHIFT_TIME);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+export const hasShift = (shift) => isValidShiftTime(shift?.start) && isValidShiftTime(shift?.end);
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The viewer's own IANA time zone, e.g. "Europe/London"; the default for new shifts
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Minutes since midnight on the wall clock of `timeZone`
+const minutesInTimeZone = (now, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date(now));
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * Whether `now` falls inside a shift window. Start and end are "HH:MM" wall-clock times in the
+ * shift's own IANA `timeZone`, so every viewer agrees on who's on whatever their own zone. (Shifts
+ * saved without a zone fall back to the viewer's clock.) A shift that ends before it starts runs
+ * past midnight; agents without a shift are always on.
+ * @param {{ start: string, end: string, timeZone?: string }|null|undefined} shift
+ * @param {number|Date} now
+ */
+export const isOnShift = (shift, now) => {
+  if (!hasShift(shift)) return true;
+  const date = new Date(now);
+  const minutes = isValidTimeZone(shift.timeZone)
+    ? minutesInTimeZone(date, shift.timeZone)
+    : date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(shift.start);
+  const end = toMinutes(shift.end);
+  if (start === end) return true;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+export const formatShift = (shift) => {
+  if (!hasShift(shift)) return '';
+  return `${shift.start}–${shift.end}${shift.timeZone ? ` ${shift.timeZone}` : ''}`;
+};
+
+/**
+ * The agent's effective availability: the status they set, except that agents outside their
+ * shift window count as offline. Agents who never set one are available.
+ * @param {import('../api/client').Agent} agent
+ * @param {number|Date} now
+ * @returns {'available'|'break'|'offline'}
+ */
+export const getAvailability = (agent, now) => {
+  const status = Object.values(AVAILABILITY).includes(agent?.status) ? agent.status : AVAILABILITY.AVAILABLE;
+  return isOnShift(agent?.shift, now) ? status : AVAILABILITY.OFFLINE;
+};
+
+/** Who's on now: active agents grouped by effective availability. */
+export const summarizeAvailability = (agents, now) => {
+  const groups = { available: [], break: [], offline: [] };
+  agents.filter(isActiveAgent).forEach(agent => {
+    groups[getAvailability(agent, now)].push(agent);
+  });
+  return groups;
+};
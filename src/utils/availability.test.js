@@ -0,0 +1,48 @@
+import { formatShift, getAvailability, isOnShift, isValidTimeZone, summarizeAvailability } from './availability';
+
+const at = (hours, minutes = 0) => new Date(2025, 2, 3, hours, minutes).getTime();
+
+test('checks shift windows, including ones that run past midnight', () => {
+  const day = { start: '09:00', end: '17:30' };
+  expect([at(8, 59), at(9), at(17, 29), at(17, 30)].map(t => isOnShift(day, t))).toEqual([false, true, true, false]);
+
+  const night = { start: '22:00', end: '06:00' };
+  expect([at(21), at(23), at(3), at(6)].map(t => isOnShift(night, t))).toEqual([false, true, true, false]);
+
+  expect(isOnShift(null, at(3))).toBe(true);
+  expect(isOnShift({ start: '9am', end: '' }, at(3))).toBe(true);
+});
+
+test('checks shifts against the clock of their own time zone, not the viewer\'s', () => {
+  const utc = (hours, minutes = 0) => Date.UTC(2025, 0, 15, hours, minutes);
+  const newYork = { start: '09:00', end: '17:00', timeZone: 'America/New_York' };
+  expect([utc(13, 59), utc(14), utc(21, 59), utc(22)].map(t => isOnShift(newYork, t))).toEqual([false, true, true, false]);
+
+  const tokyoNights = { start: '22:00', end: '06:00', timeZone: 'Asia/Tokyo' };
+  expect([utc(12, 59), utc(13), utc(20, 59), utc(21)].map(t => isOnShift(tokyoNights, t))).toEqual([false, true, true, false]);
+});
+
+test('recognises IANA time zones and shows them with the shift', () => {
+  expect(['Europe/London', 'UTC', 'Mars/Olympus', ''].map(isValidTimeZone)).toEqual([true, true, false, false]);
+  expect(formatShift({ start: '09:00', end: '17:00', timeZone: 'Europe/London' })).toBe('09:00–17:00 Europe/London');
+  expect(formatShift({ start: '09:00', end: '17:00' })).toBe('09:00–17:00');
+});
+
+test('treats agents outside their shift as offline whatever status they set', () => {
+  const shift = { start: '09:00', end: '17:00' };
+  expect(getAvailability({ name: 'A' }, at(12))).toBe('available');
+  expect(getAvailability({ status: 'break', shift }, at(12))).toBe('break');
+  expect(getAvailability({ status: 'available', shift }, at(20))).toBe('offline');
+  expect(getAvailability({ status: 'busy' }, at(12))).toBe('available');
+});
+
+test('groups active agents by availability', () => {
+  const groups = summarizeAvailability([
+    { _id: 'a', status: 'available' },
+    { _id: 'b', status: 'break' },
+    { _id: 'c', status: 'offline' },
+    { _id: 'd', active: false },
+  ], at(12));
+  expect(Object.fromEntries(Object.entries(groups).map(([k, v]) => [k, v.map(a => a._id)])))
+    .toEqual({ available: ['a'], break: ['b'], offline: ['c'] });
+});
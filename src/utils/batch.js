@@ -0,0 +1,22 @@
+// Returned by a worker (or action) that saved its item to send later instead of sending it now
+export const QUEUED = 'queued';
+
+/**
+ * Runs `worker` for each item one at a time, so a batch doesn't flood the server, and collects
+ * a per-item result instead of stopping at the first failure. Items whose worker returned
+ * QUEUED are marked `queued`: accepted, but not yet sent.
+ * @returns {Promise<Array<{ item: *, ok: boolean, queued?: boolean, error?: Error }>>}
+ */
+export const runBatch = async (items, worker, { onProgress } = {}) => {
+  const results = [];
+  for (const item of items) {
+    try {
+      const outcome = await worker(item);
+      results.push(outcome === QUEUED ? { item, ok: true, queued: true } : { item, ok: true });
+    } catch (error) {
+      results.push({ item, ok: false, error });
+    }
+    onProgress?.(results.slice());
+  }
+  return results;
+};
@@ -0,0 +1,32 @@
+import { parsePositiveNumberMap } from './envSettings';
+
+// Workload capacity (in items) used when neither the agent nor their role sets one
+export const DEFAULT_CAPACITY = 30;
+
+// Per-role defaults, configured as JSON, e.g. REACT_APP_ROLE_CAPACITIES='{"Lead": 15, "Senior": 40}'.
+// Like every REACT_APP_ setting they are baked in at build time, so changing one means a redeploy;
+// only an agent's own capacity can be edited in the app.
+const ROLE_CAPACITIES = parsePositiveNumberMap('REACT_APP_ROLE_CAPACITIES', process.env.REACT_APP_ROLE_CAPACITIES);
+
+export const getRoleCapacity = (role) => ROLE_CAPACITIES[String(role || '').toLowerCase()] ?? DEFAULT_CAPACITY;
+
+// An agent's own capacity wins over their role's default
+export const getAgentCapacity = (agent) => {
+  const own = Number(agent?.capacity);
+  return agent?.capacity != null && own > 0 ? own : getRoleCapacity(agent?.role);
+};
+
+export const hasCustomCapacity = (agent) => agent?.capacity != null && Number(agent.capacity) > 0;
+
+// Share of capacity from which a workload shows as nearly full
+const HIGH_WORKLOAD_SHARE = 0.8;
+
+/**
+ * How full a workload is, for the workload bar.
+ * @returns {'normal'|'high'|'full'|'over'}
+ */
+export const getWorkloadLevel = (workload, capacity) => {
+  if (workload > capacity) return 'over';
+  if (workload === capacity) return 'full';
+  return workload >= capacity * HIGH_WORKLOAD_SHARE ? 'high' : 'normal';
+};
@@ -0,0 +1,42 @@
+import { DEFAULT_CAPACITY, getWorkloadLevel } from './capacity';
+
+// Role defaults are read from the environment when the module loads
+const loadWithRoleCapacities = (json) => {
+  const original = process.env.REACT_APP_ROLE_CAPACITIES;
+  const setEnv = (value) => {
+    if (value === undefined) delete process.env.REACT_APP_ROLE_CAPACITIES;
+    else process.env.REACT_APP_ROLE_CAPACITIES = value;
+  };
+  setEnv(json);
+  let capacity;
+  jest.isolateModules(() => {
+    capacity = require('./capacity');
+  });
+  setEnv(original);
+  return capacity;
+};
+
+test('uses the agent\'s own capacity, then their role default, then the global default', () => {
+  const { getAgentCapacity, getRoleCapacity, hasCustomCapacity } = loadWithRoleCapacities('{"Lead": 15, "Senior": 40}');
+
+  expect(getAgentCapacity({ role: 'Senior', capacity: 12 })).toBe(12);
+  expect(getAgentCapacity({ role: 'Senior', capacity: '12' })).toBe(12);
+  expect(getAgentCapacity({ role: 'senior', capacity: null })).toBe(40);
+  expect(getAgentCapacity({ role: 'Lead', capacity: 0 })).toBe(15);
+  expect(getAgentCapacity({ role: 'Agent' })).toBe(DEFAULT_CAPACITY);
+  expect(getAgentCapacity(null)).toBe(DEFAULT_CAPACITY);
+  expect(getRoleCapacity('LEAD')).toBe(15);
+
+  expect(hasCustomCapacity({ capacity: 12 })).toBe(true);
+  expect([{ capacity: null }, { capacity: 0 }, {}].map(hasCustomCapacity)).toEqual([false, false, false]);
+});
+
+test('falls back to the global default without role settings', () => {
+  const { getAgentCapacity } = loadWithRoleCapacities(undefined);
+  expect(getAgentCapacity({ role: 'Lead' })).toBe(DEFAULT_CAPACITY);
+});
+
+test('marks workloads as high from 80% of capacity, then full and over', () => {
+  expect([0, 7, 8, 9, 10, 11].map(workload => getWorkloadLevel(workload, 10)))
+    .toEqual(['normal', 'normal', 'high', 'high', 'full', 'over']);
+});
@@ -0,0 +1,54 @@
+// Settings configured as JSON in REACT_APP_* variables. A bad setting is logged and ignored rather
+// than breaking the app, so the built-in defaults apply instead.
+
+const parseJson = (name, json) => {
+  if (!json) return undefined;
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.error(`Ignoring invalid ${name}:`, error);
+    return undefined;
+  }
+};
+
+const toPositiveNumber = (value) => {
+  const n = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * A JSON object of positive numbers with case-insensitive keys, e.g. '{"High": 24, "Low": 120}'.
+ * Entries that aren't positive numbers are dropped, so they fall back to the default too.
+ * @param {string} name The variable's name, for error messages
+ * @param {string|undefined} json
+ * @returns {Object<string, number>} Keyed by lowercased key
+ */
+export const parsePositiveNumberMap = (name, json) => {
+  const parsed = parseJson(name, json);
+  if (parsed === undefined) return {};
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.error(`Ignoring invalid ${name}: expected an object`);
+    return {};
+  }
+  const result = {};
+  Object.entries(parsed).forEach(([key, value]) => {
+    const n = toPositiveNumber(value);
+    if (n === null) console.error(`Ignoring ${name} entry "${key}": ${JSON.stringify(value)} is not a positive number`);
+    else result[key.toLowerCase()] = n;
+  });
+  return result;
+};
+
+/**
+ * A JSON array of names, lowercased for case-insensitive matching, e.g. '["Lead", "Admin"]'.
+ * @returns {string[]} `fallback` when unset or invalid
+ */
+export const parseNameList = (name, json, fallback) => {
+  const parsed = parseJson(name, json);
+  if (parsed === undefined) return fallback;
+  if (!Array.isArray(parsed)) {
+    console.error(`Ignoring invalid ${name}: expected an array`);
+    return fallback;
+  }
+  return parsed.map(item => String(item).toLowerCase());
+};
@@ -0,0 +1,27 @@
+import { parsePositiveNumberMap, parseNameList } from './envSettings';
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test('reads positive numbers by lowercased key and drops anything else', () => {
+  expect(parsePositiveNumberMap('X', '{"High": 24, "Medium": "48", "Low": "x", "None": 0, "Neg": -5, "Null": null}'))
+    .toEqual({ high: 24, medium: 48 });
+  expect(console.error).toHaveBeenCalledTimes(4);
+});
+
+test('ignores missing, malformed or wrongly shaped settings', () => {
+  expect(parsePositiveNumberMap('X', undefined)).toEqual({});
+  expect(console.error).not.toHaveBeenCalled();
+  expect(parsePositiveNumberMap('X', '{High: 24')).toEqual({});
+  expect(parsePositiveNumberMap('X', '[24]')).toEqual({});
+
+  expect(parseNameList('Y', undefined, ['lead'])).toEqual(['lead']);
+  expect(parseNameList('Y', '["Lead", "Supervisor"]', ['lead'])).toEqual(['lead', 'supervisor']);
+  expect(parseNameList('Y', '"Lead"', ['lead'])).toEqual(['lead']);
+  expect(parseNameList('Y', 'nope', ['lead'])).toEqual(['lead']);
+});
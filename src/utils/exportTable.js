@@ -0,0 +1,96 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A cell for the .xlsx Data sheet, typed so Excel can sum and sort it: numbers stay numbers and
+ * dates become dates. Blanks stay empty; anything unparseable is kept as text.
+ * @param {*} value
+ * @param {'text'|'number'|'date'} [type] The column's type
+ */
+export const toSheetCell = (value, type) => {
+  if (value === null || value === undefined || value === '' || value === 'N/A') return null;
+  if (type === 'number') {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : String(value);
+  }
+  if (type === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date;
+  }
+  return typeof value === 'number' ? value : String(value);
+};
+
+// A duration as an Excel time value (in days), shown as hours:minutes
+export const toDurationCell = (ms) => (Number.isFinite(ms) ? { t: 'n', v: ms / DAY_MS, z: '[h]:mm' } : null);
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Totals per agent and per tenant for a workbook's summary sheet, as rows of cells.
+ * `agentOf` may return several comma-separated names (e.g. a product completed by two agents).
+ */
+export const buildSummaryRows = (rows, { agentOf, tenantOf = row => row.tenantId, itemsOf = row => parseInt(row.count, 10) || 1 }) => {
+  const byAgent = {};
+  const byTenant = {};
+  const add = (map, key, items) => {
+    const name = key || 'N/A';
+    map[name] = map[name] || { rows: 0, items: 0 };
+    map[name].rows += 1;
+    map[name].items += items;
+  };
+
+  rows.forEach(row => {
+    const items = itemsOf(row);
+    if (agentOf) {
+      String(agentOf(row) || '').split(',').map(name => name.trim()).forEach(name => add(byAgent, name, items));
+    }
+    add(byTenant, tenantOf(row), items);
+  });
+
+  const section = (title, map) => [
+    [title, 'Rows', 'Items'],
+    ...Object.entries(map).sort((a, b) => b[1].items - a[1].items).map(([key, totals]) => [key, totals.rows, totals.items]),
+    [],
+  ];
+
+  return [
+    ['Total rows', rows.length],
+    ['Total items', rows.reduce((total, row) => total + itemsOf(row), 0)],
+    [],
+    ...(agentOf ? section('Agent', byAgent) : []),
+    ...section('Tenant', byTenant),
+  ];
+};
+
+/**
+ * Downloads the given table cells (header row first) as CSV, or as an .xlsx workbook with an
+ * optional summary sheet.
+ */
+export const exportTable = ({ name, header, cells, format, summaryRows }) => {
+  const fileName = `${name}-${today()}`;
+  if (format === 'csv') {
+    const csv = Papa.unparse([header, ...cells]);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...cells]), 'Data');
+  if (summaryRows) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), 'Summary');
+  }
+  XLSX.writeFile(workbook, `${fileName}.xlsx`);
+};
@@ -0,0 +1,44 @@
+import { buildSummaryRows, toSheetCell, toDurationCell } from './exportTable';
+
+test('totals rows and items per agent and tenant, splitting comma-separated agents', () => {
+  const rows = [
+    { id: 'p1', count: '3', tenantId: 'acme', completedBy: 'Jane, Bob' },
+    { id: 'p2', count: '1', tenantId: 'acme', completedBy: 'Jane' },
+    { id: 'p3', count: 'x', tenantId: '', completedBy: '' },
+  ];
+
+  expect(buildSummaryRows(rows, { agentOf: row => row.completedBy })).toEqual([
+    ['Total rows', 3],
+    ['Total items', 5],
+    [],
+    ['Agent', 'Rows', 'Items'],
+    ['Jane', 2, 4],
+    ['Bob', 1, 3],
+    ['N/A', 1, 1],
+    [],
+    ['Tenant', 'Rows', 'Items'],
+    ['acme', 2, 4],
+    ['N/A', 1, 1],
+    [],
+  ]);
+});
+
+test('leaves out the agent section without agentOf', () => {
+  const summary = buildSummaryRows([{ count: 2, tenantId: 't1' }], {});
+  expect(summary.map(row => row[0])).toEqual(['Total rows', 'Total items', undefined, 'Tenant', 't1', undefined]);
+});
+
+test('keeps numbers and dates typed for the workbook', () => {
+  expect(toSheetCell('12', 'number')).toBe(12);
+  expect(toSheetCell('lots', 'number')).toBe('lots');
+  expect(toSheetCell('2025-03-01T10:00:00Z', 'date')).toEqual(new Date('2025-03-01T10:00:00Z'));
+  expect(toSheetCell('soon', 'date')).toBe('soon');
+  expect(toSheetCell(7)).toBe(7);
+  expect(toSheetCell(true)).toBe('true');
+  expect([null, undefined, '', 'N/A'].map(v => toSheetCell(v, 'number'))).toEqual([null, null, null, null]);
+});
+
+test('exports durations as Excel time values', () => {
+  expect(toDurationCell(36 * 60 * 60 * 1000)).toEqual({ t: 'n', v: 1.5, z: '[h]:mm' });
+  expect(toDurationCell(null)).toBeNull();
+});
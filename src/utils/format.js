@@ -0,0 +1,9 @@
+// Human-readable duration, e.g. "45m", "2h 15m" or "3d 4h"
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return 'N/A';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
@@ -0,0 +1,13 @@
+// When a failed dashboard load is retried, and what to say while a slow one is still running
+
+// A failed load is retried after 5s, then 10s, 20s... up to once a minute
+const LOAD_RETRY_BASE_MS = 5000;
+const LOAD_RETRY_MAX_MS = 60 * 1000;
+
+/** Delay before retrying after the given number of consecutive failures (1 for the first). */
+export const getLoadRetryDelay = (attempt) =>
+  Math.min(LOAD_RETRY_BASE_MS * 2 ** (Math.max(attempt, 1) - 1), LOAD_RETRY_MAX_MS);
+
+// A load still running after this long is most likely waiting on the hosted server to wake up
+export const COLD_START_HINT_MS = 5000;
+export const COLD_START_MESSAGE = 'The server is waking up after being idle. This can take up to a minute...';
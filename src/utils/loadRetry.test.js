@@ -0,0 +1,6 @@
+import { getLoadRetryDelay } from './loadRetry';
+
+test('backs off exponentially from 5s up to once a minute', () => {
+  expect([1, 2, 3, 4, 5, 6, 20].map(getLoadRetryDelay)).toEqual([5000, 10000, 20000, 40000, 60000, 60000, 60000]);
+  expect(getLoadRetryDelay(0)).toBe(5000);
+});
@@ -0,0 +1,141 @@
+// Offline support: the last dashboard snapshot and agent actions waiting to be sent, both kept in
+// localStorage so they survive a reload while the server is unreachable. Both are stored per
+// signed-in user, so whoever signs in next on the same browser neither sees the previous user's
+// data nor sends their queued actions under their own session.
+
+import { isOpenAssignment } from './records';
+
+const SNAPSHOT_KEY = 'productAssignment.snapshot';
+const QUEUE_KEY = 'productAssignment.offlineQueue';
+const keyFor = (key, userId) => `${key}.${userId}`;
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} savedAt ISO timestamp
+ * @property {import('../api/client').Product[]} products
+ * @property {import('../api/client').Agent[]} agents
+ * @property {import('../api/client').Assignment[]} assignments
+ *
+ * @typedef {Object} QueuedAction
+ * @property {string} id
+ * @property {'complete'|'unassign'} type
+ * @property {string} agentId
+ * @property {string} productId
+ * @property {import('./unassignReasons').UnassignReason} [reason]
+ * @property {string} queuedAt ISO timestamp
+ */
+
+const read = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.error(`Ignoring unreadable ${key}:`, error);
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // A full quota only costs us offline support, so carry on
+    console.error(`Could not save ${key}:`, error);
+  }
+};
+
+/**
+ * @param {string} userId The signed-in user the snapshot belongs to
+ * @returns {Snapshot|null}
+ */
+export const loadSnapshot = (userId) => read(keyFor(SNAPSHOT_KEY, userId), null);
+
+export const saveSnapshot = (userId, { products, agents, assignments }) => {
+  write(keyFor(SNAPSHOT_KEY, userId), {
+    savedAt: new Date().toISOString(),
+    products,
+    agents,
+    // Placeholders for in-flight requests would never be reconciled from a snapshot
+    assignments: assignments.filter(a => !a.pending),
+  });
+};
+
+/**
+ * @param {string} userId The signed-in user who queued the actions
+ * @returns {QueuedAction[]}
+ */
+export const loadQueue = (userId) => {
+  const queue = read(keyFor(QUEUE_KEY, userId), []);
+  return Array.isArray(queue) ? queue : [];
+};
+
+export const saveQueue = (userId, queue) => write(keyFor(QUEUE_KEY, userId), queue);
+
+// Earlier versions kept one snapshot and queue for whoever was signed in; with no owner on
+// record they can't be trusted to anyone, so they are dropped
+export const discardUnownedOfflineData = () => {
+  try {
+    [SNAPSHOT_KEY, QUEUE_KEY].forEach(key => window.localStorage.removeItem(key));
+  } catch (error) {
+    console.error('Could not clear old offline data:', error);
+  }
+};
+
+let sequence = 0;
+
+/** @returns {QueuedAction} */
+export const createQueuedAction = ({ type, agentId, productId, reason }) => ({
+  id: `${Date.now()}-${sequence++}`,
+  type,
+  agentId,
+  productId,
+  ...(reason ? { reason } : {}),
+  queuedAt: new Date().toISOString(),
+});
+
+export const describeQueuedAction = (action) =>
+  `${action.type === 'complete' ? 'Complete' : 'Unassign'} ${action.productId}`;
+
+/**
+ * Applies queued actions to snapshot data so it shows what the agent already did offline.
+ * Only still-active assignments are touched, so applying twice changes nothing.
+ */
+export const applyQueuedActions = ({ products, assignments }, queue) => {
+  if (queue.length === 0) return { products, assignments };
+  const byAssignment = new Map(queue.map(action => [`${action.agentId}|${action.productId}`, action]));
+  const unassignedProducts = new Set();
+
+  const nextAssignments = assignments.map(a => {
+    const action = byAssignment.get(`${a.agentId}|${a.productId}`);
+    if (!action || !isOpenAssignment(a)) return a;
+    if (action.type === 'complete') return { ...a, completed: true, completedOn: action.queuedAt };
+    unassignedProducts.add(a.productId);
+    return { ...a, unassignedTime: action.queuedAt, unassignReason: action.reason };
+  });
+  const nextProducts = unassignedProducts.size === 0
+    ? products
+    : products.map(p => (unassignedProducts.has(p.id) ? { ...p, assigned: false } : p));
+
+  return { products: nextProducts, assignments: nextAssignments };
+};
+
+/**
+ * Sends queued actions in order. If the server becomes unreachable again the rest stay queued;
+ * any other failure is a conflict (e.g. someone else already completed the task), reported in
+ * the results and dropped from the queue.
+ * @returns {Promise<{ results: Array<{ item: QueuedAction, ok: boolean, error?: Error }>, remaining: QueuedAction[] }>}
+ */
+export const replayQueue = async (queue, send, { onProgress } = {}) => {
+  const results = [];
+  for (let i = 0; i < queue.length; i++) {
+    try {
+      await send(queue[i]);
+      results.push({ item: queue[i], ok: true });
+    } catch (error) {
+      if (error.isUnreachable) return { results, remaining: queue.slice(i) };
+      results.push({ item: queue[i], ok: false, error });
+    }
+    onProgress?.(results.slice());
+  }
+  return { results, remaining: [] };
+};
@@ -0,0 +1,62 @@
+import {
+  applyQueuedActions,
+  replayQueue,
+  createQueuedAction,
+  loadQueue,
+  saveQueue,
+  loadSnapshot,
+  saveSnapshot,
+  discardUnownedOfflineData,
+} from './offlineQueue';
+
+const complete = createQueuedAction({ type: 'complete', agentId: 'a1', productId: 'p1' });
+const unassign = createQueuedAction({ type: 'unassign', agentId: 'a1', productId: 'p2', reason: { category: 'blocked' } });
+const conflict = Object.assign(new Error('Product p3 is not assigned'), { isUnreachable: false });
+const unreachable = Object.assign(new Error('Could not reach the server'), { isUnreachable: true });
+
+test('applies queued actions to a snapshot only once', () => {
+  const snapshot = {
+    products: [{ id: 'p1', assigned: true }, { id: 'p2', assigned: true }],
+    assignments: [
+      { _id: 'x', agentId: 'a1', productId: 'p1' },
+      { _id: 'y', agentId: 'a1', productId: 'p2' },
+    ],
+  };
+  const once = applyQueuedActions(snapshot, [complete, unassign]);
+  expect(once.assignments[0]).toMatchObject({ completed: true, completedOn: complete.queuedAt });
+  expect(once.assignments[1]).toMatchObject({ unassignedTime: unassign.queuedAt, unassignReason: { category: 'blocked' } });
+  expect(once.products[1].assigned).toBe(false);
+  expect(applyQueuedActions(once, [complete, unassign]).assignments).toEqual(once.assignments);
+});
+
+test('replays in order, reports conflicts and stops when the server drops again', async () => {
+  const third = createQueuedAction({ type: 'complete', agentId: 'a1', productId: 'p3' });
+  const fourth = createQueuedAction({ type: 'complete', agentId: 'a1', productId: 'p4' });
+  const sent = [];
+  const send = jest.fn(async (action) => {
+    sent.push(action.productId);
+    if (action.productId === 'p3') throw conflict;
+    if (action.productId === 'p4') throw unreachable;
+  });
+
+  const { results, remaining } = await replayQueue([complete, unassign, third, fourth], send);
+  expect(sent).toEqual(['p1', 'p2', 'p3', 'p4']);
+  expect(results.map(r => [r.item.productId, r.ok])).toEqual([['p1', true], ['p2', true], ['p3', false]]);
+  expect(results[2].error).toBe(conflict);
+  expect(remaining).toEqual([fourth]);
+});
+
+test('keeps the queue and snapshot of each user apart and drops ones with no owner', () => {
+  saveQueue('a1', [complete]);
+  saveSnapshot('a1', { products: [], agents: [], assignments: [{ _id: 'x' }, { _id: 'p', pending: true }] });
+  expect(loadQueue('a1')).toEqual([complete]);
+  expect(loadSnapshot('a1').assignments).toEqual([{ _id: 'x' }]);
+  expect(loadQueue('a2')).toEqual([]);
+  expect(loadSnapshot('a2')).toBeNull();
+
+  window.localStorage.setItem('productAssignment.offlineQueue', JSON.stringify([unassign]));
+  discardUnownedOfflineData();
+  expect(window.localStorage.getItem('productAssignment.offlineQueue')).toBeNull();
+  expect(loadQueue('a1')).toEqual([complete]);
+  window.localStorage.clear();
+});
@@ -0,0 +1,48 @@
+import { parseNameList } from './envSettings';
+
+// What each role may do in the UI. The server enforces the same rules; these only decide what is
+// shown and which actions are blocked before a request is made.
+
+export const PERMISSIONS = {
+  // Scoped to an agent: agents may only do these for themselves
+  VIEW_DASHBOARD: 'viewDashboard',
+  REQUEST_TASK: 'requestTask',
+  COMPLETE_TASK: 'completeTask',
+  UNASSIGN_TASK: 'unassignTask',
+  SET_AVAILABILITY: 'setAvailability',
+  // Team-wide: directory, queue, product lists, analytics and everything that changes them
+  VIEW_TEAM: 'viewTeam',
+  BULK_ACTIONS: 'bulkActions',
+  TRANSFER_TASKS: 'transferTasks',
+  EDIT_CAPACITY: 'editCapacity',
+  MANAGE_ROSTER: 'manageRoster',
+  UPLOAD: 'upload',
+  REFRESH: 'refresh',
+};
+
+const OWN_PERMISSIONS = new Set([
+  PERMISSIONS.VIEW_DASHBOARD,
+  PERMISSIONS.REQUEST_TASK,
+  PERMISSIONS.COMPLETE_TASK,
+  PERMISSIONS.UNASSIGN_TASK,
+  PERMISSIONS.SET_AVAILABILITY,
+]);
+
+// Roles with full access, configured as JSON, e.g. REACT_APP_LEAD_ROLES='["Lead", "Admin", "Supervisor"]'
+const DEFAULT_LEAD_ROLES = ['lead', 'admin'];
+
+const LEAD_ROLES = parseNameList('REACT_APP_LEAD_ROLES', process.env.REACT_APP_LEAD_ROLES, DEFAULT_LEAD_ROLES);
+
+export const isLead = (user) => Boolean(user) && LEAD_ROLES.includes(String(user.role || '').toLowerCase());
+
+/**
+ * Whether the user may perform an action, optionally on behalf of a specific agent.
+ * @param {import('../api/client').Agent|null} user
+ * @param {string} permission One of PERMISSIONS
+ * @param {string} [agentId] The agent the action affects, for agent-scoped permissions
+ */
+export const can = (user, permission, agentId) => {
+  if (!user) return false;
+  if (isLead(user)) return true;
+  return OWN_PERMISSIONS.has(permission) && agentId !== undefined && agentId === user._id;
+};
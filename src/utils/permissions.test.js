@@ -0,0 +1,23 @@
+import { can, isLead, PERMISSIONS } from './permissions';
+
+const agent = { _id: 'a1', name: 'Ana', role: 'Agent' };
+const lead = { _id: 'l1', name: 'Lee', role: 'Lead' };
+
+test('limits agents to actions on their own work', () => {
+  expect(isLead(agent)).toBe(false);
+  expect(can(agent, PERMISSIONS.VIEW_DASHBOARD, 'a1')).toBe(true);
+  expect(can(agent, PERMISSIONS.COMPLETE_TASK, 'a1')).toBe(true);
+  expect(can(agent, PERMISSIONS.COMPLETE_TASK, 'a2')).toBe(false);
+  expect(can(agent, PERMISSIONS.SET_AVAILABILITY, 'a1')).toBe(true);
+  expect(can(agent, PERMISSIONS.SET_AVAILABILITY, 'a2')).toBe(false);
+  expect(can(agent, PERMISSIONS.VIEW_TEAM)).toBe(false);
+  expect(can(agent, PERMISSIONS.BULK_ACTIONS, 'a1')).toBe(false);
+  expect(can(agent, PERMISSIONS.UPLOAD)).toBe(false);
+  expect(can(agent, PERMISSIONS.MANAGE_ROSTER, 'a1')).toBe(false);
+});
+
+test('gives leads every permission and signed-out users none', () => {
+  expect(isLead(lead)).toBe(true);
+  expect(Object.values(PERMISSIONS).every(p => can(lead, p, 'a1'))).toBe(true);
+  expect(can(null, PERMISSIONS.VIEW_DASHBOARD, 'a1')).toBe(false);
+});
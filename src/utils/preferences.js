@@ -0,0 +1,88 @@
+// User preferences persisted in localStorage under a versioned schema
+
+const STORAGE_KEY = 'productAssignment.preferences';
+
+export const PREFERENCES_VERSION = 1;
+
+/**
+ * @typedef {Object} TablePreferences
+ * @property {string[]} [hiddenColumns]
+ * @property {string} [sort] Column key, prefixed with "-" for descending
+ *
+ * @typedef {Object} Preferences
+ * @property {number} version
+ * @property {'light'|'dark'|'system'} theme
+ * @property {string|null} lastView Path and query string of the last visited view
+ * @property {string|null} lastAgentId
+ * @property {Object<string, TablePreferences>} tables Keyed by table ID
+ * @property {Object<string, number>} autoRequest My Work auto-request thresholds in items, keyed by agent ID
+ */
+
+/** @type {Preferences} */
+export const DEFAULT_PREFERENCES = {
+  version: PREFERENCES_VERSION,
+  theme: 'system',
+  lastView: null,
+  lastAgentId: null,
+  tables: {},
+  autoRequest: {},
+};
+
+// Upgrades from each older version to the next, keyed by the version being upgraded from.
+// When the schema changes, bump PREFERENCES_VERSION and add a step here, e.g.
+//   1: (prefs) => ({ ...prefs, version: 2, density: 'comfortable' }),
+const MIGRATIONS = {};
+
+const THEMES = ['light', 'dark', 'system'];
+
+/**
+ * Brings stored preferences up to the current schema. Anything unreadable, from a newer version,
+ * or missing a migration step falls back to the defaults rather than breaking the app.
+ */
+export const migratePreferences = (stored) => {
+  if (!stored || typeof stored !== 'object' || typeof stored.version !== 'number') {
+    return DEFAULT_PREFERENCES;
+  }
+  let prefs = stored;
+  while (prefs.version < PREFERENCES_VERSION) {
+    const migrate = MIGRATIONS[prefs.version];
+    if (!migrate) return DEFAULT_PREFERENCES;
+    prefs = migrate(prefs);
+  }
+  if (prefs.version !== PREFERENCES_VERSION) return DEFAULT_PREFERENCES;
+
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...prefs,
+    theme: THEMES.includes(prefs.theme) ? prefs.theme : DEFAULT_PREFERENCES.theme,
+    tables: prefs.tables && typeof prefs.tables === 'object' ? prefs.tables : {},
+    autoRequest: prefs.autoRequest && typeof prefs.autoRequest === 'object' ? prefs.autoRequest : {},
+  };
+};
+
+export const loadPreferences = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return migratePreferences(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.error('Ignoring unreadable preferences:', error);
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePreferences = (prefs) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch (error) {
+    // Private browsing or a full quota: preferences just won't persist
+    console.error('Could not save preferences:', error);
+  }
+};
+
+export const clearPreferences = () => {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Could not clear preferences:', error);
+  }
+};
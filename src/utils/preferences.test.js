@@ -0,0 +1,27 @@
+import { migratePreferences, loadPreferences, savePreferences, DEFAULT_PREFERENCES, PREFERENCES_VERSION } from './preferences';
+
+afterEach(() => window.localStorage.clear());
+
+test('falls back to defaults for missing, unversioned or newer preferences', () => {
+  expect(migratePreferences(null)).toEqual(DEFAULT_PREFERENCES);
+  expect(migratePreferences({ theme: 'dark' })).toEqual(DEFAULT_PREFERENCES);
+  expect(migratePreferences({ version: PREFERENCES_VERSION + 1, theme: 'dark' })).toEqual(DEFAULT_PREFERENCES);
+});
+
+test('keeps valid settings and repairs invalid ones', () => {
+  const prefs = migratePreferences({ version: PREFERENCES_VERSION, theme: 'neon', lastView: '/queue', tables: null });
+  expect(prefs.theme).toBe('system');
+  expect(prefs.lastView).toBe('/queue');
+  expect(prefs.tables).toEqual({});
+});
+
+test('round-trips through localStorage and ignores corrupt data', () => {
+  const prefs = { ...DEFAULT_PREFERENCES, theme: 'dark', tables: { queue: { sort: '-count' } } };
+  savePreferences(prefs);
+  expect(loadPreferences()).toEqual(prefs);
+
+  window.localStorage.setItem('productAssignment.preferences', '{not json');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(loadPreferences()).toEqual(DEFAULT_PREFERENCES);
+  console.error.mockRestore();
+});
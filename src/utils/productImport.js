@@ -0,0 +1,84 @@
+import { detectColumns, readSheetRows } from './spreadsheet';
+
+// Product fields the UI uses, with the header spellings we accept for each (compared lowercased,
+// with spaces/underscores/punctuation stripped)
+export const PRODUCT_FIELDS = [
+  { key: 'id', label: 'Abstract ID', aliases: ['id', 'abstractid', 'productid', 'abstract', 'product'] },
+  { key: 'name', label: 'Name', aliases: ['name', 'productname', 'title'] },
+  { key: 'count', label: 'Count', aliases: ['count', 'quantity', 'qty', 'taskcount', 'itemcount'] },
+  { key: 'tenantId', label: 'Tenant ID', aliases: ['tenantid', 'tenant'] },
+  { key: 'priority', label: 'Priority', aliases: ['priority', 'prio'] },
+  { key: 'createdOn', label: 'Created On', aliases: ['createdon', 'created', 'createdat', 'createddate', 'datecreated'] },
+];
+
+// Maps each product field to the index of the first matching header, or -1 if none matches
+export const detectColumnMapping = (headers) => detectColumns(headers, PRODUCT_FIELDS);
+
+/**
+ * Builds the upload preview from raw sheet rows: maps columns onto product fields, flags
+ * row-level problems and compares the file against the products already loaded.
+ */
+export const buildImportPreview = (headers, rawRows, knownProducts = []) => {
+  const mapping = detectColumnMapping(headers);
+  const knownIds = new Set(knownProducts.map(p => String(p.id)));
+  const idCounts = {};
+
+  const rows = rawRows.map((raw, index) => {
+    const product = {};
+    PRODUCT_FIELDS.forEach(field => {
+      const col = mapping[field.key];
+      product[field.key] = col === -1 ? '' : String(raw[col] ?? '').trim();
+    });
+    if (product.id) {
+      idCounts[product.id] = (idCounts[product.id] || 0) + 1;
+    }
+    // Spreadsheet line number, counting the header row
+    return { line: index + 2, product, errors: [] };
+  });
+
+  rows.forEach(row => {
+    const { id, count, createdOn } = row.product;
+    if (!id) {
+      row.errors.push('Missing ID');
+    } else if (idCounts[id] > 1) {
+      row.errors.push('Duplicate ID');
+    }
+    if (count !== '' && isNaN(Number(count))) {
+      row.errors.push(`Non-numeric count "${count}"`);
+    } else if (Number(count) < 0) {
+      row.errors.push(`Count out of range "${count}"`);
+    }
+    if (createdOn !== '' && isNaN(Date.parse(createdOn))) {
+      row.errors.push(`Unparseable date "${createdOn}"`);
+    }
+  });
+
+  const fileIds = new Set(Object.keys(idCounts));
+  const summary = {
+    totalRows: rows.length,
+    errorRows: rows.filter(r => r.errors.length > 0).length,
+    newProducts: [...fileIds].filter(id => !knownIds.has(id)).length,
+    existingProducts: [...fileIds].filter(id => knownIds.has(id)).length,
+    missingFromFile: [...knownIds].filter(id => !fileIds.has(id)).length,
+  };
+
+  return { headers, mapping, rows, summary };
+};
+
+/**
+ * Parses an uploaded CSV/XLSX/XLS file in the browser and returns the preview along with the
+ * file that should be posted to /upload-output once the user confirms.
+ */
+export const parseProductFile = async (file, knownProducts) => {
+  // The server only accepts CSV, so spreadsheets are uploaded as their first sheet converted to CSV
+  const { rows, csvFile: uploadFile } = await readSheetRows(file);
+  if (rows.length === 0) {
+    throw new Error(`${file.name} is empty`);
+  }
+  const [headers, ...dataRows] = rows;
+  return {
+    fileName: file.name,
+    uploadFile,
+    ...buildImportPreview(headers, dataRows, knownProducts),
+  };
+};
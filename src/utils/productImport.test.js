@@ -0,0 +1,49 @@
+import * as XLSX from 'xlsx';
+import { buildImportPreview, detectColumnMapping, parseProductFile } from './productImport';
+import { SHEET_FILE_TYPES } from './spreadsheet';
+
+test('maps common header spellings onto product fields', () => {
+  const mapping = detectColumnMapping(['Abstract ID', 'Tenant_ID', 'Qty', 'Created On', 'Notes']);
+  expect(mapping).toEqual({ id: 0, name: -1, count: 2, tenantId: 1, priority: -1, createdOn: 3 });
+});
+
+test('flags row errors and diffs against known products', () => {
+  const headers = ['id', 'count', 'createdOn'];
+  const rows = [
+    ['p1', '2', '2025-03-01'],
+    ['', '1', '2025-03-01'],
+    ['p2', 'lots', '2025-03-01'],
+    ['p3', '1', 'not a date'],
+    ['p3', '1', '2025-03-02'],
+    ['p4', '-3', ''],
+  ];
+  const { rows: parsed, summary } = buildImportPreview(headers, rows, [{ id: 'p1' }, { id: 'p9' }]);
+
+  expect(parsed.map(r => r.errors)).toEqual([
+    [],
+    ['Missing ID'],
+    ['Non-numeric count "lots"'],
+    ['Duplicate ID', 'Unparseable date "not a date"'],
+    ['Duplicate ID'],
+    ['Count out of range "-3"'],
+  ]);
+  expect(parsed[0].line).toBe(2);
+  expect(summary).toEqual({
+    totalRows: 6,
+    errorRows: 5,
+    newProducts: 3,
+    existingProducts: 1,
+    missingFromFile: 1,
+  });
+});
+
+test('reads legacy .xls workbooks, which the file inputs accept too', async () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Abstract ID', 'Count'], ['p1', 2]]), 'Queue');
+  const file = new File([XLSX.write(workbook, { bookType: 'xls', type: 'array' })], 'queue.xls');
+
+  const preview = await parseProductFile(file, []);
+  expect(preview.rows.map(r => r.product.id)).toEqual(['p1']);
+  expect(preview.uploadFile.name).toBe('queue.csv');
+  expect(SHEET_FILE_TYPES.split(',')).toEqual(expect.arrayContaining(['.csv', '.xlsx', '.xls']));
+});
@@ -0,0 +1,67 @@
+// Finds where products are: waiting in the queue, assigned, completed or handed back
+
+import { isOpenAssignment } from './records';
+
+/**
+ * @typedef {Object} ProductLocation
+ * @property {string} id
+ * @property {'queued'|'assigned'|'completed'|'unassigned'|'unknown'} state
+ * @property {import('../api/client').Product|null} product
+ * @property {string|null} agentId Agent holding, or who last held, the product
+ * @property {string|null} assignedOn
+ * @property {string|null} completedOn
+ * @property {string|null} unassignedTime
+ */
+
+/**
+ * Splits pasted text into distinct product IDs. Accepts the comma-separated list "Copy Product
+ * IDs" produces, as well as IDs on separate lines or separated by spaces.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseProductIds = (text) =>
+  Array.from(new Set(String(text || '').split(/[\s,;]+/).map(id => id.trim()).filter(Boolean)));
+
+const timeOf = (value) => {
+  const t = Date.parse(value);
+  return isNaN(t) ? -Infinity : t;
+};
+
+/**
+ * Works out each product's current state from the loaded products and assignment records. The
+ * newest record decides: open means assigned, completed means done, unassigned means it went
+ * back to the queue.
+ * @param {string[]} ids
+ * @param {{ productsById: Object<string, import('../api/client').Product>,
+ *   assignments: import('../api/client').Assignment[],
+ *   previouslyAssigned?: import('../api/client').Product[] }} data
+ * @returns {ProductLocation[]}
+ */
+export const locateProducts = (ids, { productsById, assignments, previouslyAssigned = [] }) => {
+  const wanted = new Set(ids);
+  const latestById = {};
+  assignments.forEach(a => {
+    if (a.pending || !wanted.has(a.productId)) return;
+    const latest = latestById[a.productId];
+    if (!latest || timeOf(a.assignedOn) >= timeOf(latest.assignedOn)) latestById[a.productId] = a;
+  });
+  const previouslyAssignedById = Object.fromEntries(previouslyAssigned.map(p => [p.id, p]));
+
+  return ids.map(id => {
+    const product = productsById[id] || previouslyAssignedById[id] || null;
+    const latest = latestById[id];
+    const handedBack = previouslyAssignedById[id];
+    const location = {
+      id,
+      product,
+      agentId: latest ? latest.agentId : null,
+      assignedOn: latest?.assignedOn || null,
+      completedOn: latest?.completedOn || null,
+      unassignedTime: latest?.unassignedTime || handedBack?.unassignedTime || null,
+    };
+    if (latest?.completed) return { ...location, state: 'completed' };
+    if (latest && isOpenAssignment(latest)) return { ...location, state: 'assigned' };
+    if (latest || handedBack) return { ...location, state: 'unassigned' };
+    return { ...location, state: product ? 'queued' : 'unknown' };
+  });
+};
@@ -0,0 +1,23 @@
+import { parseProductIds, locateProducts } from './productLookup';
+
+test('parses the copied comma-separated format and other separators', () => {
+  expect(parseProductIds('p1, p2, p3')).toEqual(['p1', 'p2', 'p3']);
+  expect(parseProductIds(' p1\np2 p1;p4,,')).toEqual(['p1', 'p2', 'p4']);
+  expect(parseProductIds('')).toEqual([]);
+});
+
+test('reports each product by its newest assignment record', () => {
+  const productsById = { q: { id: 'q' }, a: { id: 'a' }, c: { id: 'c' }, u: { id: 'u' } };
+  const assignments = [
+    { _id: '1', productId: 'a', agentId: 'x', assignedOn: '2025-03-01T00:00:00Z', unassignedTime: '2025-03-02T00:00:00Z' },
+    { _id: '2', productId: 'a', agentId: 'y', assignedOn: '2025-03-03T00:00:00Z' },
+    { _id: '3', productId: 'c', agentId: 'x', assignedOn: '2025-03-01T00:00:00Z', completed: true, completedOn: '2025-03-01T05:00:00Z' },
+    { _id: '4', productId: 'u', agentId: 'y', assignedOn: '2025-03-01T00:00:00Z', unassignedTime: '2025-03-01T02:00:00Z' },
+    { _id: '5', productId: 'q', agentId: 'y', pending: true },
+  ];
+  const located = locateProducts(['q', 'a', 'c', 'u', 'zzz'], { productsById, assignments });
+  expect(located.map(l => l.state)).toEqual(['queued', 'assigned', 'completed', 'unassigned', 'unknown']);
+  expect(located[1]).toMatchObject({ agentId: 'y', assignedOn: '2025-03-03T00:00:00Z', unassignedTime: null });
+  expect(located[2].completedOn).toBe('2025-03-01T05:00:00Z');
+  expect(located[3]).toMatchObject({ agentId: 'y', unassignedTime: '2025-03-01T02:00:00Z' });
+});
@@ -0,0 +1,38 @@
+// Helpers for patching lists of server records (products keyed by `id`, agents/assignments by `_id`)
+
+// Applies per-record field changes, given as { [recordKey]: { field: value } }
+export const patchRecords = (records, changesByKey, key) => {
+  if (Object.keys(changesByKey).length === 0) return records;
+  return records.map(record => {
+    const changes = changesByKey[record[key]];
+    return changes ? { ...record, ...changes } : record;
+  });
+};
+
+// Captures the current values of the fields a patch will overwrite, so the patch can be undone
+export const captureOriginals = (records, changesByKey, key) => {
+  const originals = {};
+  records.forEach(record => {
+    const changes = changesByKey[record[key]];
+    if (changes) {
+      originals[record[key]] = Object.fromEntries(Object.keys(changes).map(field => [field, record[field]]));
+    }
+  });
+  return originals;
+};
+
+// An assignment its agent still holds: not completed, handed back or transferred to someone else
+export const isOpenAssignment = (assignment) =>
+  !assignment.completed && !assignment.unassignedTime && !assignment.transferredTo;
+
+// Replaces records that share a key with `incoming` and appends the new ones
+export const upsertRecords = (records, incoming, key) => {
+  if (!incoming || incoming.length === 0) return records;
+  const incomingByKey = new Map(incoming.map(record => [record[key], record]));
+  const merged = records.map(record => {
+    const replacement = incomingByKey.get(record[key]);
+    if (replacement) incomingByKey.delete(record[key]);
+    return replacement || record;
+  });
+  return [...merged, ...incomingByKey.values()];
+};
@@ -0,0 +1,28 @@
+import { patchRecords, captureOriginals, upsertRecords } from './records';
+
+const assignments = [
+  { _id: 'a1', productId: 'p1', completed: false },
+  { _id: 'a2', productId: 'p2', completed: false },
+];
+
+test('undoes a patch with the originals captured before it', () => {
+  const changes = { a1: { completed: true, completedOn: '2025-03-01T10:00:00Z' } };
+  const originals = captureOriginals(assignments, changes, '_id');
+  const patched = patchRecords(assignments, changes, '_id');
+
+  expect(patched[0]).toEqual({ _id: 'a1', productId: 'p1', completed: true, completedOn: '2025-03-01T10:00:00Z' });
+  expect(patched[1]).toBe(assignments[1]);
+  expect(patchRecords(patched, originals, '_id')[0]).toEqual({ ...assignments[0], completedOn: undefined });
+  expect(patchRecords(assignments, {}, '_id')).toBe(assignments);
+});
+
+test('merges changed records in and keeps the ones the server did not return', () => {
+  const merged = upsertRecords(assignments, [
+    { _id: 'a2', productId: 'p2', completed: true },
+    { _id: 'a3', productId: 'p3', completed: false },
+  ], '_id');
+
+  expect(merged.map(a => [a._id, a.completed])).toEqual([['a1', false], ['a2', true], ['a3', false]]);
+  expect(merged[0]).toBe(assignments[0]);
+  expect(upsertRecords(assignments, [], '_id')).toBe(assignments);
+});
@@ -0,0 +1,83 @@
+import { detectColumns, readSheetRows } from './spreadsheet';
+
+// Agents are active unless they have been deactivated; older records have no `active` field
+export const isActiveAgent = (agent) => agent?.active !== false;
+
+// Recorded with the open tasks of an agent who is deactivated and unassigned
+export const DEACTIVATION_REASON = { category: 'other', note: 'Agent deactivated' };
+
+// Roster columns, with the header spellings we accept for each
+export const ROSTER_FIELDS = [
+  { key: '_id', label: 'Agent ID', aliases: ['id', 'agentid', 'employeeid', 'userid'] },
+  { key: 'name', label: 'Name', aliases: ['name', 'agentname', 'fullname', 'agent'] },
+  { key: 'role', label: 'Role', aliases: ['role', 'title', 'position'] },
+  { key: 'capacity', label: 'Capacity', aliases: ['capacity', 'maxitems', 'limit'] },
+];
+
+const EDITABLE_FIELDS = ['name', 'role', 'capacity'];
+
+/**
+ * Builds the import preview from raw sheet rows: maps columns onto agent fields and works out,
+ * per row, whether it adds an agent, changes an existing one (matched by ID, else by name) or
+ * changes nothing. Blank cells leave existing values alone.
+ * @returns {{ headers: string[], mapping: Object, rows: { line: number, agent: Object, action: 'add'|'update'|'unchanged',
+ *   existing: Object|null, changes: Object, errors: string[] }[], summary: Object }}
+ */
+export const buildRosterPreview = (headers, rawRows, knownAgents = []) => {
+  const mapping = detectColumns(headers, ROSTER_FIELDS);
+  const byId = new Map(knownAgents.map(a => [String(a._id), a]));
+  const byName = new Map(knownAgents.map(a => [a.name.trim().toLowerCase(), a]));
+  const seen = {};
+
+  const rows = rawRows.map((raw, index) => {
+    const agent = {};
+    ROSTER_FIELDS.forEach(field => {
+      const col = mapping[field.key];
+      agent[field.key] = col === -1 ? '' : String(raw[col] ?? '').trim();
+    });
+    const errors = [];
+    const key = agent._id || agent.name.toLowerCase();
+    if (!agent.name && !agent._id) errors.push('Missing name');
+    if (key) {
+      if (seen[key]) errors.push('Duplicate agent');
+      seen[key] = true;
+    }
+    if (agent.capacity !== '' && !(Number.isInteger(Number(agent.capacity)) && Number(agent.capacity) > 0)) {
+      errors.push(`Invalid capacity "${agent.capacity}"`);
+    }
+    const existing = agent._id ? byId.get(agent._id) : byName.get(agent.name.toLowerCase());
+    if (agent._id && !existing) errors.push(`Unknown agent ID "${agent._id}"`);
+    if (!existing && !agent.role && errors.length === 0) errors.push('Missing role');
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (agent[field] === '') return;
+      const value = field === 'capacity' ? Number(agent[field]) : agent[field];
+      if (!existing || String(existing[field] ?? '') !== String(value)) changes[field] = value;
+    });
+    const action = !existing ? 'add' : Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    // Spreadsheet line number, counting the header row
+    return { line: index + 2, agent, action, existing: existing || null, changes, errors };
+  });
+
+  const valid = rows.filter(r => r.errors.length === 0);
+  const summary = {
+    totalRows: rows.length,
+    errorRows: rows.length - valid.length,
+    additions: valid.filter(r => r.action === 'add').length,
+    updates: valid.filter(r => r.action === 'update').length,
+    unchanged: valid.filter(r => r.action === 'unchanged').length,
+  };
+
+  return { headers, mapping, rows, summary };
+};
+
+/** Parses a roster CSV/XLSX in the browser into an import preview. */
+export const parseRosterFile = async (file, knownAgents) => {
+  const { rows } = await readSheetRows(file);
+  if (rows.length === 0) {
+    throw new Error(`${file.name} is empty`);
+  }
+  const [headers, ...dataRows] = rows;
+  return { fileName: file.name, ...buildRosterPreview(headers, dataRows, knownAgents) };
+};
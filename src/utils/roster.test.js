@@ -0,0 +1,42 @@
+import { buildRosterPreview, isActiveAgent } from './roster';
+
+const known = [
+  { _id: 'a1', name: 'Ana Ruiz', role: 'Agent', capacity: null },
+  { _id: 'a2', name: 'Ben Ode', role: 'Agent', capacity: 20, active: false },
+];
+
+test('matches rows to existing agents by ID or name and lists what changes', () => {
+  const headers = ['Agent ID', 'Full Name', 'Role', 'Capacity'];
+  const { rows, summary } = buildRosterPreview(headers, [
+    ['', 'ana ruiz', 'Senior', ''],
+    ['a2', '', '', '20'],
+    ['', 'Cara Lim', 'Agent', '25'],
+  ], known);
+
+  expect(rows.map(r => r.action)).toEqual(['update', 'unchanged', 'add']);
+  expect(rows[0]).toMatchObject({ existing: known[0], changes: { name: 'ana ruiz', role: 'Senior' } });
+  expect(rows[2].changes).toEqual({ name: 'Cara Lim', role: 'Agent', capacity: 25 });
+  expect(summary).toEqual({ totalRows: 3, errorRows: 0, additions: 1, updates: 1, unchanged: 1 });
+});
+
+test('flags rows that cannot be imported', () => {
+  const { rows } = buildRosterPreview(['id', 'name', 'role', 'capacity'], [
+    ['', '', 'Agent', ''],
+    ['zz', 'Zed', 'Agent', ''],
+    ['', 'New Person', '', ''],
+    ['', 'Cara Lim', 'Agent', 'lots'],
+    ['', 'cara lim', 'Agent', ''],
+  ], known);
+
+  expect(rows.map(r => r.errors)).toEqual([
+    ['Missing name'],
+    ['Unknown agent ID "zz"'],
+    ['Missing role'],
+    ['Invalid capacity "lots"'],
+    ['Duplicate agent'],
+  ]);
+});
+
+test('treats agents without an active flag as active', () => {
+  expect(known.map(isActiveAgent)).toEqual([true, false]);
+});
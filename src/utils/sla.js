@@ -0,0 +1,35 @@
+import { parsePositiveNumberMap } from './envSettings';
+
+// SLA targets (hours from a product's createdOn) used when its priority has no target of its own
+export const DEFAULT_SLA_HOURS = 72;
+
+// Rows are flagged as nearing their SLA once this share of the target has elapsed
+export const SLA_WARNING_RATIO = 0.75;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Per-priority targets in hours, configured as JSON, e.g. REACT_APP_SLA_TARGETS='{"High": 24, "Low": 120}'
+const SLA_TARGETS = parsePositiveNumberMap('REACT_APP_SLA_TARGETS', process.env.REACT_APP_SLA_TARGETS);
+
+export const getSlaTargetHours = (priority) => SLA_TARGETS[String(priority || '').toLowerCase()] ?? DEFAULT_SLA_HOURS;
+
+/**
+ * Age of a product and where it stands against its priority's SLA. Completed products are
+ * never at risk.
+ * @returns {{ ageMs: number|null, targetMs: number, status: 'ok'|'warning'|'breached'|'unknown' }}
+ */
+export const getSlaState = (product, now = Date.now()) => {
+  const targetMs = getSlaTargetHours(product?.priority) * HOUR_MS;
+  const created = Date.parse(product?.createdOn);
+  if (isNaN(created)) return { ageMs: null, targetMs, status: 'unknown' };
+  const ageMs = Math.max(0, now - created);
+  if (product.completed) return { ageMs, targetMs, status: 'ok' };
+  const status = ageMs >= targetMs ? 'breached' : ageMs >= targetMs * SLA_WARNING_RATIO ? 'warning' : 'ok';
+  return { ageMs, targetMs, status };
+};
+
+// Row class for color-coding tables by SLA status
+export const slaRowClass = (product, now) => {
+  const { status } = getSlaState(product, now);
+  return status === 'breached' || status === 'warning' ? `sla-${status}` : '';
+};
@@ -0,0 +1,17 @@
+import { getSlaState, DEFAULT_SLA_HOURS } from './sla';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.parse('2025-03-10T12:00:00Z');
+const createdHoursAgo = (hours) => new Date(now - hours * HOUR_MS).toISOString();
+
+test('classifies products by age against the SLA target', () => {
+  expect(getSlaState({ createdOn: createdHoursAgo(1) }, now)).toEqual({
+    ageMs: HOUR_MS,
+    targetMs: DEFAULT_SLA_HOURS * HOUR_MS,
+    status: 'ok',
+  });
+  expect(getSlaState({ createdOn: createdHoursAgo(DEFAULT_SLA_HOURS * 0.8) }, now).status).toBe('warning');
+  expect(getSlaState({ createdOn: createdHoursAgo(DEFAULT_SLA_HOURS + 1) }, now).status).toBe('breached');
+  expect(getSlaState({ createdOn: createdHoursAgo(DEFAULT_SLA_HOURS + 1), completed: true }, now).status).toBe('ok');
+  expect(getSlaState({ createdOn: 'N/A' }, now).status).toBe('unknown');
+});
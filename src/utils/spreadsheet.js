@@ -0,0 +1,59 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+
+// Shared by the product and roster imports: reading CSV/XLSX files and matching their headers
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isSpreadsheet = (fileName) => /\.xlsx?$/i.test(fileName);
+
+// The file types readSheetRows understands, for the `accept` of import file inputs
+export const SHEET_FILE_TYPES = '.csv,.xlsx,.xls';
+
+const readAsArrayBuffer = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+  reader.readAsArrayBuffer(file);
+});
+
+/**
+ * Maps each field to the index of the first header matching one of its aliases (compared
+ * lowercased, with spaces/underscores/punctuation stripped), or -1 if none matches.
+ * @param {string[]} headers
+ * @param {{ key: string, aliases: string[] }[]} fields
+ */
+export const detectColumns = (headers, fields) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  fields.forEach(field => {
+    mapping[field.key] = normalized.findIndex(h => field.aliases.includes(h));
+  });
+  return mapping;
+};
+
+/**
+ * Reads the rows of a CSV, XLSX or XLS file as arrays of cell strings, header row first. `csvFile` is
+ * the file as CSV (the first sheet, for spreadsheets), for endpoints that only accept CSV.
+ * @param {File} file
+ * @returns {Promise<{ rows: string[][], csvFile: File }>}
+ */
+export const readSheetRows = async (file) => {
+  if (isSpreadsheet(file.name)) {
+    const workbook = XLSX.read(await readAsArrayBuffer(file), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: false });
+    const csv = XLSX.utils.sheet_to_csv(sheet, { blankrows: false });
+    const csvFile = new File([csv], file.name.replace(/\.xlsx?$/i, '.csv'), { type: 'text/csv' });
+    return { rows, csvFile };
+  }
+
+  const rows = await new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      skipEmptyLines: 'greedy',
+      complete: (results) => resolve(results.data),
+      error: (err) => reject(err),
+    });
+  });
+  return { rows, csvFile: file };
+};
@@ -0,0 +1,54 @@
+import { getSlaTargetHours } from './sla';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Items a product adds to a workload, counted the same way as agent workloads
+export const productItems = (product) => (product && product.count ? parseInt(product.count, 10) || 1 : 1);
+
+// When the product breaches its SLA; products without a createdOn sort last
+const slaDeadline = (product) => {
+  const created = Date.parse(product.createdOn);
+  return isNaN(created) ? Infinity : created + getSlaTargetHours(product.priority) * HOUR_MS;
+};
+
+// Takes products in order, up to `count`, skipping any that would go over the remaining capacity
+const fitToCapacity = (products, count, remainingCapacity) => {
+  const picked = [];
+  let items = 0;
+  for (const product of products) {
+    if (picked.length >= count) break;
+    const productCount = productItems(product);
+    if (items + productCount > remainingCapacity) continue;
+    picked.push(product);
+    items += productCount;
+  }
+  return { picked, items };
+};
+
+/**
+ * Chooses which unassigned products a Request Task pulls: those matching the optional tenant and
+ * priority filters, closest to their SLA deadline first, skipping any that would push the agent
+ * over their remaining capacity.
+ * @param {import('../api/client').Product[]} products Unassigned products
+ * @param {{ count: number, tenantId?: string, priority?: string, remainingCapacity: number }} options
+ * @returns {{ picked: import('../api/client').Product[], matching: number, items: number }}
+ */
+export const pickRequestedTasks = (products, { count, tenantId = '', priority = '', remainingCapacity }) => {
+  const matching = products
+    .filter(p => !tenantId || String(p.tenantId || '') === tenantId)
+    .filter(p => !priority || String(p.priority || '') === priority)
+    .sort((a, b) => slaDeadline(a) - slaDeadline(b));
+
+  return { ...fitToCapacity(matching, count, remainingCapacity), matching: matching.length };
+};
+
+/**
+ * Re-checks a previewed pick when it is confirmed, since live updates may have assigned some of
+ * the products or added to the agent's workload while the preview was open: drops products that
+ * are no longer unassigned and keeps, in preview order, only what fits the capacity left now.
+ * @param {import('../api/client').Product[]} picked
+ * @param {{ unassignedIds: Set<string>, remainingCapacity: number }} options
+ * @returns {{ picked: import('../api/client').Product[], items: number }}
+ */
+export const recheckPickedTasks = (picked, { unassignedIds, remainingCapacity }) =>
+  fitToCapacity(picked.filter(p => unassignedIds.has(p.id)), picked.length, remainingCapacity);
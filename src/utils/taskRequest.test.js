@@ -0,0 +1,30 @@
+import { pickRequestedTasks, recheckPickedTasks } from './taskRequest';
+
+const products = [
+  { id: 'new', tenantId: 't1', priority: 'Low', count: 2, createdOn: '2025-03-10T00:00:00Z' },
+  { id: 'old', tenantId: 't1', priority: 'Low', count: 3, createdOn: '2025-03-01T00:00:00Z' },
+  { id: 'big', tenantId: 't1', priority: 'High', count: 50, createdOn: '2025-02-01T00:00:00Z' },
+  { id: 'other', tenantId: 't2', priority: 'Low', count: 1 },
+];
+
+test('picks the products closest to their SLA first, up to the requested count', () => {
+  const { picked, matching, items } = pickRequestedTasks(products, { count: 2, remainingCapacity: 100 });
+  expect(picked.map(p => p.id)).toEqual(['big', 'old']);
+  expect(matching).toBe(4);
+  expect(items).toBe(53);
+});
+
+test('applies tenant and priority filters and skips products over remaining capacity', () => {
+  expect(pickRequestedTasks(products, { count: 5, tenantId: 't1', remainingCapacity: 10 }).picked.map(p => p.id))
+    .toEqual(['old', 'new']);
+  const lowOnly = pickRequestedTasks(products, { count: 5, priority: 'Low', remainingCapacity: 3 });
+  expect(lowOnly.picked.map(p => p.id)).toEqual(['old']);
+  expect(lowOnly.matching).toBe(3);
+});
+
+test('drops previewed products assigned meanwhile and trims the rest to the capacity left', () => {
+  const unassignedIds = new Set(['new', 'old', 'other']);
+  expect(recheckPickedTasks(products, { unassignedIds, remainingCapacity: 4 }).picked.map(p => p.id))
+    .toEqual(['new', 'other']);
+  expect(recheckPickedTasks(products, { unassignedIds, remainingCapacity: 0 })).toEqual({ picked: [], items: 0 });
+});
@@ -0,0 +1,70 @@
+import { formatUnassignReason } from './unassignReasons';
+
+// A product handed back this many times is flagged as bouncing between agents
+export const BOUNCE_THRESHOLD = 2;
+
+/**
+ * @typedef {Object} TimelineEvent
+ * @property {'created'|'assigned'|'reassigned'|'transferred'|'unassigned'|'completed'} type
+ * @property {string|null} time ISO timestamp, null when unknown
+ * @property {string} [agentName]
+ * @property {string} [fromAgentName] For transfers
+ * @property {string} [reason] For unassignments
+ */
+
+const timeOf = (value) => {
+  const t = Date.parse(value);
+  return isNaN(t) ? Infinity : t;
+};
+
+/**
+ * Reconstructs a product's history from its assignment records: every assignment, transfer,
+ * unassignment (with reason) and completion, oldest first.
+ * @returns {{ events: TimelineEvent[], assignmentCount: number, agentCount: number,
+ *   unassignCount: number, isBouncing: boolean }}
+ */
+export const buildProductTimeline = ({ productId, product, assignments, agents }) => {
+  const agentNames = Object.fromEntries(agents.map(a => [a._id, a.name]));
+  const nameOf = (agentId) => agentNames[agentId] || 'Unknown agent';
+  const records = assignments
+    .filter(a => a.productId === productId && !a.pending)
+    .sort((a, b) => timeOf(a.assignedOn) - timeOf(b.assignedOn));
+
+  const events = [];
+  if (product?.createdOn) events.push({ type: 'created', time: product.createdOn });
+
+  records.forEach((record, index) => {
+    if (record.transferredFrom) {
+      events.push({
+        type: 'transferred',
+        time: record.assignedOn || null,
+        agentName: nameOf(record.agentId),
+        fromAgentName: nameOf(record.transferredFrom),
+      });
+    } else {
+      events.push({ type: index === 0 ? 'assigned' : 'reassigned', time: record.assignedOn || null, agentName: nameOf(record.agentId) });
+    }
+    if (record.unassignedTime) {
+      events.push({
+        type: 'unassigned',
+        time: record.unassignedTime,
+        agentName: nameOf(record.agentId),
+        reason: formatUnassignReason(record.unassignReason),
+      });
+    }
+    if (record.completed) {
+      events.push({ type: 'completed', time: record.completedOn || null, agentName: nameOf(record.agentId) });
+    }
+  });
+
+  events.sort((a, b) => timeOf(a.time) - timeOf(b.time));
+  const unassignCount = records.filter(r => r.unassignedTime).length;
+
+  return {
+    events,
+    assignmentCount: records.length,
+    agentCount: new Set(records.flatMap(r => [r.agentId, r.transferredFrom].filter(Boolean))).size,
+    unassignCount,
+    isBouncing: unassignCount >= BOUNCE_THRESHOLD,
+  };
+};
@@ -0,0 +1,45 @@
+import { buildProductTimeline } from './timeline';
+
+const agents = [{ _id: 'a1', name: 'Jane' }, { _id: 'a2', name: 'Bob' }, { _id: 'a3', name: 'Kim' }];
+
+test('orders a product\'s assignments, unassignments and completion', () => {
+  const assignments = [
+    { agentId: 'a3', productId: 'p1', transferredFrom: 'a1', assignedOn: '2025-03-03T12:00:00Z', completed: true, completedOn: '2025-03-03T13:00:00Z' },
+    { agentId: 'a1', productId: 'p1', assignedOn: '2025-03-02T09:00:00Z', unassignedTime: '2025-03-02T10:00:00Z', unassignReason: { category: 'blocked', note: 'Waiting on billing' } },
+    { agentId: 'a2', productId: 'p1', assignedOn: '2025-03-02T11:00:00Z', unassignedTime: '2025-03-02T12:00:00Z', unassignReason: { category: 'other', note: 'Duplicate' } },
+    { agentId: 'a2', productId: 'p2', assignedOn: '2025-03-02T11:00:00Z' },
+  ];
+  const timeline = buildProductTimeline({
+    productId: 'p1',
+    product: { id: 'p1', createdOn: '2025-03-01T08:00:00Z' },
+    assignments,
+    agents,
+  });
+
+  expect(timeline.events.map(e => [e.type, e.agentName, e.fromAgentName || e.reason || ''])).toEqual([
+    ['created', undefined, ''],
+    ['assigned', 'Jane', ''],
+    ['unassigned', 'Jane', 'Blocked by another team: Waiting on billing'],
+    ['reassigned', 'Bob', ''],
+    ['unassigned', 'Bob', 'Duplicate'],
+    ['transferred', 'Kim', 'Jane'],
+    ['completed', 'Kim', ''],
+  ]);
+  expect(timeline).toMatchObject({ assignmentCount: 3, agentCount: 3, unassignCount: 2, isBouncing: true });
+});
+
+test('keeps every hand-off of a task transferred more than once', () => {
+  const assignments = [
+    { agentId: 'a1', productId: 'p1', assignedOn: '2025-03-03T09:00:00Z', transferredTo: 'a2', transferredTime: '2025-03-03T10:00:00Z' },
+    { agentId: 'a2', productId: 'p1', assignedOn: '2025-03-03T10:00:00Z', transferredFrom: 'a1', transferredTo: 'a3', transferredTime: '2025-03-03T11:00:00Z' },
+    { agentId: 'a3', productId: 'p1', assignedOn: '2025-03-03T11:00:00Z', transferredFrom: 'a2' },
+  ];
+  const timeline = buildProductTimeline({ productId: 'p1', product: null, assignments, agents });
+
+  expect(timeline.events.map(e => [e.type, e.time, e.agentName, e.fromAgentName])).toEqual([
+    ['assigned', '2025-03-03T09:00:00Z', 'Jane', undefined],
+    ['transferred', '2025-03-03T10:00:00Z', 'Bob', 'Jane'],
+    ['transferred', '2025-03-03T11:00:00Z', 'Kim', 'Bob'],
+  ]);
+  expect(timeline).toMatchObject({ assignmentCount: 3, agentCount: 3, unassignCount: 0 });
+});
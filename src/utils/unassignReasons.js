@@ -0,0 +1,31 @@
+// Why work was handed back, recorded with every unassignment
+
+/**
+ * @typedef {Object} UnassignReason
+ * @property {string} category One of UNASSIGN_REASONS' values
+ * @property {string} [note] Free text; required for "other"
+ */
+
+export const UNASSIGN_REASONS = [
+  { value: 'missing-info', label: 'Missing or unclear information' },
+  { value: 'blocked', label: 'Blocked by another team' },
+  { value: 'skills', label: 'Needs different skills or access' },
+  { value: 'capacity', label: 'Out of time or over capacity' },
+  { value: 'shift-end', label: 'End of shift' },
+  { value: 'other', label: 'Other' },
+];
+
+const LABELS = Object.fromEntries(UNASSIGN_REASONS.map(r => [r.value, r.label]));
+
+export const isValidUnassignReason = (reason) =>
+  Boolean(reason && LABELS[reason.category]) && (reason.category !== 'other' || Boolean(reason.note?.trim()));
+
+// "Category: note" for tables and timelines; older records may have no reason or a plain string
+export const formatUnassignReason = (reason) => {
+  if (!reason) return '';
+  if (typeof reason === 'string') return reason;
+  const label = LABELS[reason.category] || reason.category || '';
+  const note = reason.note?.trim();
+  if (!note) return label;
+  return reason.category === 'other' ? note : `${label}: ${note}`;
+};